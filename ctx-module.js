@@ -9,13 +9,32 @@
  *              - return exports idiom
  *              - __filename, __dirname
  *              - require.main
- *              - require.extensions
+ *              - require.extensions, per context and optionally per package, including .wasm and .cjs
  *              - node_modules / package.json / index.js
  *              - JSON modules
- *              - MODULE_NOT_FOUND error code
- *              - module module with a Module class with limited support for userland manipulation of
- *                _resolveFilename, _cache, etc.
+ *              - MODULE_NOT_FOUND errors with requireStack, paths searched and rejected candidates;
+ *                SyntaxErrors with a code frame
+ *              - module module with a per-context Module class which supports userland manipulation of
+ *                _load, _resolveFilename, _extensions, _cache, wrap, prototype._compile, etc.
  *              - Monkey-patched vm module so that "this context" refers to CtxModule's context
+ *              - ECMAScript modules (.mjs, "type": "module") via vm.SourceTextModule, import() from
+ *                CommonJS modules, require() of ESMs which have been imported or linked
+ *              - Context-private process object (env, argv, cwd, exitCode, listeners, exit)
+ *              - Timer tracking and context teardown
+ *              - Resolution, stat and package.json caches
+ *              - Asynchronous loading with fs.promises (requireAsync, CtxHandle.loadAsync)
+ *              - Pluggable filesystem, with in-memory and tarball implementations
+ *              - Snapshots of a context's loaded modules, which other contexts can load from
+ *              - Modules shared between contexts through a membrane, or isolated in each
+ *              - Optional V8 code cache for module wrappers, in memory and on disk
+ *              - Load-time profiling per module, as a table or Chrome trace events
+ *              - Uncaught exceptions and unhandled rejections delivered to the context's handle
+ *              - Per-context console and stdout/stderr, prefixed, captured, silenced or sent to a sink
+ *              - Global presets (node, browser-like, minimal), with web platform globals from the host
+ *                or made in the context
+ *              - Contexts in worker threads, with the same require/runInContext API
+ *              - Inspector integration: ctx://contextName/ script URLs and break-on-load
+ *              - V8 precise coverage of a context's modules, as istanbul JSON or lcov
  *
  * @author      Wes Garland, wes@distributive.network
  * @date        Feb 2023
@@ -25,6 +44,43 @@
 const debug = require('debug');
 const fs    = require('fs');
 const vm    = require('vm');
+const url   = require('url');
+const util  = require('util');
+const { EventEmitter } = require('events');
+const { builtinModules } = require('module');
+const { performance } = require('perf_hooks');
+
+/* vm.Module instances created for CommonJS modules imported by ESMs, keyed on CtxModule */
+const syntheticModules = new WeakMap();
+/* Promises which settle when a vm.Module is linked, keyed on vm.Module */
+const esmLinkPromises = new WeakMap();
+/* Functions internal to each CtxModule, used by the Module API (_load, prototype._compile), keyed on CtxModule */
+const moduleInternals = new WeakMap();
+/* Node's default Module.wrapper */
+const nodeWrapperStrings = ['(function (exports, require, module, __filename, __dirname) { ', '\n});'];
+/* Per-context CtxHandles, which must not be reachable by code running in the context, keyed on ctx */
+const ctxHandles = new WeakMap();
+/* The inspector session which collects precise coverage, and the CtxHandles it is collecting for */
+let coverageSession;
+const coverageCollectors = new Set();
+/* CtxHandles with 'error' listeners, which uncaught exceptions and unhandled rejections from their contexts go to */
+const errorReporters = new Set();
+/* Errors thrown out of timer callbacks or EventEmitter listeners in a context -> the context's CtxHandle */
+const errorContexts = new WeakMap();
+/* Errors thrown by process.exit() in a context, once the exit has been delivered to the context and its handle */
+const processExits = new WeakSet();
+/* { reason } of the unhandled rejection which Node has just raised as an uncaught exception, in strict mode */
+let raisedRejection;
+/* Number of contexts with no contextName made with the inspector option or collecting coverage, for naming their scripts */
+let unnamedInspectedContexts = 0;
+/* Directories of the polyfill packages and their dependencies, keyed on the polyfill packages' names */
+const polyfillDirsCache = new Map();
+/* Export conditions matched by contexts which do not specify their own; "default" always matches */
+const defaultConditions = ['require', 'node'];
+/* Export conditions matched by contexts made with the browser-like global preset */
+const browserConditions = ['require', 'browser'];
+/* Extensions of files which are reported, when a module is not found, as needing a require.extensions loader */
+const diagnosticExtensions = ['.cjs', '.mjs', '.ts', '.cts', '.mts', '.jsx', '.tsx', '.coffee', '.yaml', '.yml', '.txt', '.wasm'];
 
 /**
  * CtxModule constructor; creates a new module.
@@ -43,25 +99,45 @@ const vm    = require('vm');
  */
 function CtxModule(ctx, cnId, moduleCache, parent)
 {
+  var rejectedCandidates; /* [{path, reason}] while a failed resolution is being diagnosed */
   const that = this;
-  
+
+  /* Construct from the context's Module.prototype, so that patching it stays in ctx; not setPrototypeOf,
+   * which would deoptimize every module object.
+   */
+  if (Object.getPrototypeOf(this) !== contextHandle(ctx).modulePrototype)
+    return Reflect.construct(CtxModule, [ctx, cnId, moduleCache, parent], contextHandle(ctx).moduleConstructor);
+
+  moduleInternals.set(this, {
+    require: requireModule,
+    resolve: requireResolve,
+    compile: (content, filename) => compileJSModule(that, content, filename),
+  });
+
   /* Create the resources for new module long before eval so that circular deps work */
-  this.exports = {};
-  this.loaded  = false;
+  this.id       = cnId;
+  this.exports  = {};
+  this.loaded   = false;
+  this.children = [];
 
   if (!parent || !parent.require)
     parent = Object.assign({}, parent);
 
   if (!parent.require)
   {
-    parent.require = {
-      path: [],
-      main: undefined,
-      extensions: {
+    if (!contextHandle(ctx).extensions) /* shared by every module in ctx, like Module._extensions */
+    {
+      contextHandle(ctx).extensions = {
         '.js':   loadJSModule,
         '.json': loadJSONModule,
         '.node': loadNAPIModule,
-      },
+        '.wasm': loadWasmModule,
+      };
+    }
+    parent.require = {
+      path: [],
+      main: undefined,
+      extensions: contextHandle(ctx).extensions,
     };
   }
   this.parent = parent;
@@ -102,31 +178,95 @@ function CtxModule(ctx, cnId, moduleCache, parent)
     return paths;
   }
 
-  /** Implementation of require() for this module */
+  /** Implementation of require() for this module; goes through the context's Module._load, which can be patched */
   this.require = function ctxRequire(moduleIdentifier)
+  {
+    const Module = contextHandle(ctx).Module;
+    return Module ? Module._load(moduleIdentifier, that, false) : requireModule(moduleIdentifier);
+  }
+
+  /** Default implementation of Module._load for this module */
+  function requireModule(moduleIdentifier)
   {
     moduleIdentifier = moduleIdentifier.replace(/\\/g, '/');
     debug('ctx-module:require')('require ' + moduleIdentifier);
 
     try
     {
-      const moduleFilename = requireResolve(moduleIdentifier);
-      if (moduleCache.hasOwnProperty(moduleFilename) && typeof moduleCache[moduleFilename] === 'object')
-        return moduleCache[moduleFilename].exports;
-      return loadModule(moduleFilename).exports;
+      const moduleFilename = profiled('resolve', moduleIdentifier, () => resolveForImporter(that, moduleIdentifier));
+      const mock = contextHandle(ctx).mockFor(moduleFilename, that.filename);
+
+      let module = moduleCache[moduleFilename];
+
+      contextHandle(ctx).addDependency(that.filename, moduleFilename);
+      if (mock)
+        return mockModule(mock, moduleFilename).exports;
+      if (!moduleCache.hasOwnProperty(moduleFilename) || typeof module !== 'object')
+      {
+        if (isESModuleFile(moduleFilename))
+          throw requireESMError(moduleFilename);
+        module = loadModule(moduleFilename);
+      }
+      else if (!that.children.includes(module))
+        that.children.push(module);
+
+      return contextHandle(ctx).trackExports(moduleFilename, moduleExports(module));
     }
     catch(error)
     {
       if (error.code === 'ENOENT')
         error.code = 'MODULE_NOT_FOUND';
+      if (error.code === 'MODULE_NOT_FOUND' && !error.requireStack)
+        error.requireStack = requireStack();
       throw error;
     }
   }
 
+  /**
+   * Implementation of dynamic import() for this module. The module identifier is resolved the same
+   * way require resolves it; the resulting ESM graph is linked and evaluated inside ctx. CommonJS
+   * modules are presented to ESMs as modules whose default export is module.exports.
+   *
+   * @param {string} moduleIdentifier   any module identifier, or a file: URL
+   * @returns a Promise which resolves to the module namespace object
+   */
+  this.import = async function ctxImport(moduleIdentifier)
+  {
+    const esm = vmModuleFor(resolveForImporter(that, esmSpecifier(moduleIdentifier), { conditions: importConditions(ctx) }), that.filename);
+
+    debug('ctx-module:import')('import ' + moduleIdentifier);
+    await linkModule(esm);
+    await esm.evaluate();
+
+    return esm.namespace;
+  }
+
+  /**
+   * Asynchronous require: the module and the modules it requires are located and read in parallel
+   * with fs.promises, and then the module is required. Evaluation is done by require(), so module
+   * semantics and evaluation order are exactly the same as synchronous require.
+   */
+  this.requireAsync = async function ctxRequireAsync(moduleIdentifier)
+  {
+    debug('ctx-module:requireAsync')('requireAsync ' + moduleIdentifier);
+    const prefetched = await contextHandle(ctx).prefetch(that.require, moduleIdentifier);
+    try
+    {
+      return that.require(moduleIdentifier);
+    }
+    finally
+    {
+      contextHandle(ctx).forgetPrefetched(prefetched);
+    }
+  }
+
   /* Decorate new module's require with API properties */
   this.require.id = cnId;
   this.require.cache = moduleCache;
-  this.require.resolve = requireResolve;
+  this.require.resolve = function resolve(moduleIdentifier, options) {
+    const Module = contextHandle(ctx).Module;
+    return Module ? Module._resolveFilename(moduleIdentifier, that, false, options) : requireResolve(moduleIdentifier, options);
+  };
   if (parent && parent.require)
   {
     this.require.extensions = parent.require.extensions;
@@ -205,50 +345,418 @@ function CtxModule(ctx, cnId, moduleCache, parent)
   /**
    * Search require.path and module.path to map a module identifier onto
    * a full pathname.
+   *
+   * @param {string} moduleIdentifier   any module identifier (argument to require)
+   * @param {object} options            [optional] object with the following optional properties:
+   *                 - conditions       the package.json export conditions to match; defaults to
+   *                                    the context's conditions
    */
-  function requireResolve(moduleIdentifier)
+  function requireResolve(moduleIdentifier, options)
   {
+    const conditions = options?.conditions || contextHandle(ctx).conditions;
     var moduleFilename;
-    
+
+    if (moduleIdentifier.startsWith('node:')) /* builtin modules are cached under their bare names */
+      moduleIdentifier = moduleIdentifier.slice(5);
+    if (moduleIdentifier[0] === '#')
+      return packageImportsResolve(moduleIdentifier, conditions);
+
+    if (conditions.includes('browser') && !isRelativeOrAbsolute(moduleIdentifier))
+    {
+      const mapped = browserMap(that.filename, moduleIdentifier);
+      if (mapped === false)
+        return emptyModuleId();
+      if (mapped)
+        moduleIdentifier = mapped;
+    }
+
     moduleIdentifier = canonicalize(moduleIdentifier);
     if (moduleCache.hasOwnProperty(moduleIdentifier))
     {
       debug('ctx-module:requireResolve')('require.resolve', moduleIdentifier, '=>', moduleIdentifier, '(cache hit)');
       return moduleIdentifier;
     }
+
+    const resolved = contextHandle(ctx).resolution?.resolved;
+    const resolvedKey = `${that.filename ? dirname(that.filename) : that.id}\0${conditions}\0${that.require.path}\0${that.paths}\0${moduleIdentifier}`;
+    if (resolved?.has(resolvedKey))
+    {
+      debug('ctx-module:requireResolve')('require.resolve', moduleIdentifier, '=>', resolved.get(resolvedKey), '(resolution cache hit)');
+      return resolved.get(resolvedKey);
+    }
+
+    moduleFilename = locateModule(moduleIdentifier, conditions);
+    if (!moduleFilename)
+      throw moduleNotFoundError(moduleIdentifier, conditions);
+
+    if (conditions.includes('browser'))
+    {
+      const mapped = browserMap(moduleFilename, moduleFilename);
+      if (mapped === false)
+        return emptyModuleId();
+      if (mapped)
+        moduleFilename = mapped;
+    }
     
+    debug('ctx-module:requireResolve')('require.resolve', moduleIdentifier, '=>', moduleFilename);
+    moduleFilename = moduleFilename.split('\\').join('/');
+    resolved?.set(resolvedKey, moduleFilename);
+    return moduleFilename;
+  }
+
+  /**
+   * Run fn, recording it as a phase of loading filename when the context is being profiled.
+   */
+  function profiled(phase, filename, fn)
+  {
+    const profiler = contextHandle(ctx).profiler;
+    return profiler ? profiler.time(phase, filename, fn) : fn();
+  }
+
+  /**
+   * Locate the file for a canonicalized module identifier which is not a builtin or in the module cache.
+   *
+   * @returns the filename, or false if there is no such module
+   */
+  function locateModule(moduleIdentifier, conditions)
+  {
+    var moduleFilename;
+
     if (moduleIdentifier[0] === '/' || moduleIdentifier.match(/^[a-zA-Z]:[\/\\]/)) // absolute paths
-      moduleFilename = locateModuleFile(relativeResolve(moduleIdentifier));
-    else
+      return locateModuleFile(relativeResolve(moduleIdentifier));
+
+    const searchPath = searchPathFor();
+    moduleFilename = packageSelfResolve(moduleIdentifier, conditions);
+    for (let i=0; !moduleFilename && i < searchPath.length; i++)
+      moduleFilename = locatePackageFile(searchPath[i], moduleIdentifier, conditions);
+    return moduleFilename;
+  }
+
+  /** The directories which are searched for search-path module identifiers: require.path, then module.paths */
+  function searchPathFor()
+  {
+    if (!that.paths.length)
+      return that.require.path;
+    return that.require.path.length ? that.require.path.concat(that.paths) : that.paths;
+  }
+
+  /**
+   * Create the MODULE_NOT_FOUND error for a module identifier which could not be resolved. Like Node's, the
+   * error has a requireStack property; it also has a candidates property listing each file which was
+   * considered and the reason it was rejected, and a paths property listing the directories searched
+   * for search-path module identifiers. The candidates are found by repeating the failed resolution, so
+   * that successful resolution does not pay for diagnostics.
+   */
+  function moduleNotFoundError(moduleIdentifier, conditions)
+  {
+    const candidates = rejectedCandidates = [];
+
+    try
+    {
+      if (!contextHandle(ctx).prefetching) /* prefetch only needs to know that there is no such module */
+        locateModule(moduleIdentifier, conditions);
+    }
+    catch(error)
+    {
+      /* the first attempt found nothing, so there is nothing more to report */
+    }
+    finally
+    {
+      rejectedCandidates = undefined;
+    }
+
+    const error = notFoundError(`module not found -- require('${moduleIdentifier}') from ${that.filename || that.id}`, candidates);
+    if (!isRelativeOrAbsolute(moduleIdentifier))
+      error.paths = searchPathFor().slice();
+    return error;
+  }
+
+  /**
+   * Create a MODULE_NOT_FOUND error whose message lists the require stack and the candidates which were
+   * rejected for a reason other than not existing.
+   */
+  function notFoundError(message, candidates)
+  {
+    const stack = requireStack();
+    const interesting = candidates.filter((candidate) => candidate.reason !== 'not found');
+
+    if (interesting.length)
+      message += '\nRejected candidates:\n' + interesting.map((candidate) => `- ${candidate.path}: ${candidate.reason}`).join('\n');
+    if (stack.length)
+      message += '\nRequire stack:\n' + stack.map((filename) => `- ${filename}`).join('\n');
+
+    const error = new Error(message);
+    error.code = 'MODULE_NOT_FOUND';
+    error.requireStack = stack;
+    error.candidates = candidates;
+    return error;
+  }
+
+  /**
+   * Return the filenames of this module and the modules which required it, innermost first, like the
+   * requireStack property of Node's MODULE_NOT_FOUND errors.
+   */
+  function requireStack()
+  {
+    const stack = [];
+
+    for (let module = that; module?.filename && !stack.includes(module.filename); module = module.parent)
+      stack.push(module.filename);
+    return stack;
+  }
+
+  /** Note why a file was rejected, when a failed resolution is being diagnosed */
+  function rejectCandidate(path, reason)
+  {
+    rejectedCandidates?.push({ path, reason });
+  }
+
+  function isRelativeOrAbsolute(moduleIdentifier)
+  {
+    return /^\.\.?(\/|$)/.test(moduleIdentifier) || moduleIdentifier[0] === '/' || /^[a-zA-Z]:[/\\]/.test(moduleIdentifier);
+  }
+
+  /**
+   * Split a search-path module identifier into its package name (including @scope) and its
+   * package subpath, eg "@scope/pkg/lib/x" => { name: "@scope/pkg", subpath: "./lib/x" }
+   */
+  function parsePackageIdentifier(moduleIdentifier)
+  {
+    const match = moduleIdentifier.match(/^((?:@[^/]+\/)?[^/]+)(\/.*)?$/);
+    return match && { name: match[1], subpath: '.' + (match[2] || '') };
+  }
+
+  /**
+   * Locate a search-path module identifier in one node_modules (or require.path) directory. Packages
+   * with an "exports" map are resolved through it; other packages use the legacy main/index.js rules.
+   */
+  function locatePackageFile(path, moduleIdentifier, conditions)
+  {
+    const parsed = parsePackageIdentifier(moduleIdentifier);
+    const pkgDir = parsed && relativeResolve(path, parsed.name);
+    const pkg = pkgDir && readPackageJson(pkgDir);
+
+    if (pkg && pkg.exports !== undefined && pkg.exports !== null)
+      return packageExportsResolve(pkgDir, pkg, parsed.subpath, conditions);
+    return locateModuleFile(relativeResolve(path, moduleIdentifier));
+  }
+
+  /**
+   * Resolve a package which is requiring itself by name; this only works via "exports".
+   */
+  function packageSelfResolve(moduleIdentifier, conditions)
+  {
+    const parsed = parsePackageIdentifier(moduleIdentifier);
+    const scope = parsed && that.filename && findPackageScope(that.filename);
+
+    if (!scope || scope.pkg.name !== parsed.name || scope.pkg.exports === undefined || scope.pkg.exports === null)
+      return false;
+    return packageExportsResolve(scope.path, scope.pkg, parsed.subpath, conditions);
+  }
+
+  /**
+   * Resolve a package subpath via the package's "exports" field, following Node's PACKAGE_EXPORTS_RESOLVE
+   * algorithm. Unlike legacy resolution, there is no extension or index.js searching.
+   */
+  function packageExportsResolve(pkgDir, pkg, subpath, conditions)
+  {
+    var exports = pkg.exports;
+
+    if (typeof exports === 'string' || Array.isArray(exports) || !Object.keys(exports).some((key) => key.startsWith('.')))
+      exports = { '.': exports }; /* sugar for the main entry point */
+
+    const filename = packageMapResolve(pkgDir, subpath, exports, conditions, false);
+    if (!filename)
+    {
+      const error = new Error(`package subpath '${subpath}' is not defined by "exports" in ${pkgDir}/package.json`);
+      error.code = 'ERR_PACKAGE_PATH_NOT_EXPORTED';
+      throw error;
+    }
+
+    return checkResolvedFile(filename);
+  }
+
+  /**
+   * Resolve a #specifier via the "imports" field of the package which contains the requiring module,
+   * following Node's PACKAGE_IMPORTS_RESOLVE algorithm. Targets which are not relative are resolved
+   * as search-path module identifiers.
+   */
+  function packageImportsResolve(moduleIdentifier, conditions)
+  {
+    const scope = that.filename && findPackageScope(that.filename);
+    const target = scope && scope.pkg.imports && packageMapResolve(scope.path, moduleIdentifier, scope.pkg.imports, conditions, true);
+
+    if (!target)
+    {
+      const error = new Error(`package import specifier '${moduleIdentifier}' is not defined in ${scope ? scope.path + '/package.json' : 'any package.json'} imported from ${that.filename || that.id}`);
+      error.code = 'ERR_PACKAGE_IMPORT_NOT_DEFINED';
+      throw error;
+    }
+
+    if (target.isBare)
+      return requireResolve(target.moduleIdentifier, { conditions });
+    return checkResolvedFile(target).split('\\').join('/');
+  }
+
+  function checkResolvedFile(filename)
+  {
+    if (!contextHandle(ctx).statType(filename))
+    {
+      const candidate = { path: filename, reason: 'target of "exports" or "imports" does not exist' };
+      rejectCandidate(candidate.path, candidate.reason);
+      throw notFoundError(`module not found -- ${filename} from ${that.filename || that.id}`, [ candidate ]);
+    }
+    return filename;
+  }
+
+  /**
+   * Look up a key (a subpath like "./x" or an imports specifier like "#x") in an exports or imports map,
+   * including subpath patterns with a single *. The pattern with the longest prefix wins.
+   *
+   * @returns the resolved filename, an object describing a bare module identifier (imports only), or
+   *          a falsey value when the key is not mapped.
+   */
+  function packageMapResolve(pkgDir, key, map, conditions, isImports)
+  {
+    var bestKey, bestMatch;
+
+    if (map.hasOwnProperty(key) && !key.includes('*'))
+      return packageTargetResolve(pkgDir, map[key], undefined, conditions, isImports);
+
+    for (let mapKey of Object.keys(map))
     {
-      let searchPath = that.require.path;
-      if (that.paths.length)
-        searchPath = that.require.path.length ? that.require.path.concat(that.paths) : that.paths;
+      const star = mapKey.indexOf('*');
+      if (star === -1 || mapKey.indexOf('*', star + 1) !== -1)
+        continue;
 
-      for (const path of searchPath)
+      const prefix = mapKey.slice(0, star);
+      const suffix = mapKey.slice(star + 1);
+      if (key.startsWith(prefix) && key !== prefix && key.length >= mapKey.length - 1 && key.endsWith(suffix))
       {
-        moduleFilename = locateModuleFile(relativeResolve(path, moduleIdentifier));
-        if (moduleFilename)
-          break;
+        if (!bestKey || prefix.length > bestKey.indexOf('*') || (prefix.length === bestKey.indexOf('*') && mapKey.length > bestKey.length))
+        {
+          bestKey = mapKey;
+          bestMatch = key.slice(prefix.length, key.length - suffix.length);
+        }
       }
     }
 
-    if (!moduleFilename)
+    if (bestKey)
+      return packageTargetResolve(pkgDir, map[bestKey], bestMatch, conditions, isImports);
+    return undefined;
+  }
+
+  /**
+   * Resolve an exports/imports target: a string, an array of fallbacks, an object of conditions
+   * (in package.json order), or null which means the subpath is excluded.
+   */
+  function packageTargetResolve(pkgDir, target, patternMatch, conditions, isImports)
+  {
+    if (typeof target === 'string')
     {
-      const error = new Error(`module not found -- require('${moduleIdentifier}') from ${that.filename || that.id}`);
-      error.code = 'MODULE_NOT_FOUND';
-      throw error;
+      if (patternMatch !== undefined)
+        target = target.replace(/\*/g, patternMatch);
+      if (target.startsWith('./'))
+        return relativeResolve(pkgDir, target);
+      if (isImports && !isRelativeOrAbsolute(target))
+        return { isBare: true, moduleIdentifier: target };
+      return undefined; /* invalid target */
     }
-    
-    debug('ctx-module:requireResolve')('require.resolve', moduleIdentifier, '=>', moduleFilename);
-    return moduleFilename.split('\\').join('/');
+
+    if (Array.isArray(target))
+    {
+      for (let fallback of target)
+      {
+        const resolved = packageTargetResolve(pkgDir, fallback, patternMatch, conditions, isImports);
+        if (resolved)
+          return resolved;
+      }
+      return undefined;
+    }
+
+    if (target && typeof target === 'object')
+    {
+      for (let condition of Object.keys(target))
+      {
+        if (condition !== 'default' && !conditions.includes(condition))
+          continue;
+        const resolved = packageTargetResolve(pkgDir, target[condition], patternMatch, conditions, isImports);
+        if (resolved !== undefined)
+          return resolved;
+      }
+    }
+
+    return target === null ? null : undefined;
+  }
+
+  /**
+   * Consult the "browser" field object of the package containing filename, which can replace either
+   * search-path module identifiers or files within the package with another file, or with false
+   * which means an empty module.
+   *
+   * @returns the replacement filename or module identifier, false, or undefined if there is no mapping
+   */
+  function browserMap(filename, moduleIdentifier)
+  {
+    const scope = filename && findPackageScope(filename);
+    const browser = scope && scope.pkg.browser;
+    var keys = [moduleIdentifier];
+
+    if (!browser || typeof browser !== 'object')
+      return undefined;
+
+    if (moduleIdentifier.startsWith(scope.path + '/'))
+    {
+      const relative = '.' + moduleIdentifier.slice(scope.path.length);
+      keys = [relative, relative.replace(/\.[^./]*$/, '')];
+    }
+
+    for (let key of keys)
+    {
+      if (!browser.hasOwnProperty(key))
+        continue;
+      if (browser[key] === false)
+        return false;
+      return isRelativeOrAbsolute(browser[key]) ? locateModuleFile(relativeResolve(scope.path, browser[key])) : browser[key];
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Return the module identifier of the empty module which stands in for modules the browser field
+   * maps to false, creating it if necessary.
+   */
+  function emptyModuleId()
+  {
+    const id = 'ctx-module:browser-false';
+
+    if (!moduleCache.hasOwnProperty(id))
+      moduleCache[id] = CtxModule.from(ctx, {});
+    return id;
   }
 
   function loadJSModule(module, filename)
+  {
+    module._compile(transformSource(contextHandle(ctx).readSource(module.filename, module.parent?.filename), filename), filename);
+  }
+
+  /**
+   * Default implementation of Module.prototype._compile: wrap the module's code in a function, compile it
+   * in ctx and run it. When Module.wrap or Module.wrapper has been patched, the patched wrapper is used, and
+   * the function is invoked with Node's argument order.
+   */
+  function compileJSModule(module, moduleCode, filename)
   {
     const SHEBANG_REGEX = /^#!.*\r{0,1}\n/m;
-    var moduleCode = fs.readFileSync(module.filename, 'utf-8');
+    const handle = contextHandle(ctx);
+    const Module = handle.Module;
+    const scriptFilename = handle.scriptUrl(filename);
+    const breakpoint = handle.breakpoints.has(filename) ? 'debugger;' : ''; /* see CtxHandle.breakOnLoad */
+    const nodeWrapper = Module && (Module.wrap !== Module.defaultWrap || Module.wrapper[0] !== nodeWrapperStrings[0] || Module.wrapper[1] !== nodeWrapperStrings[1]);
+    const source = moduleCode;
     var moduleFun;
+    var wrappedCode;
     var lineOffset = 0;
     
     /* Evaluate the module code and return its exports. We use IIFE as namespace and arguments for
@@ -269,172 +777,3671 @@ function CtxModule(ctx, cnId, moduleCache, parent)
       const isStrictMode = !!bareCode.match(/^[\s ]*['"]use strict['"][\s]*(;?|[\r\n])/);
       const prologue = ''
             + `${isStrictMode ? '"use strict";' : ''}`
-            + `(function ${filename.replace(/[^A-Za-z0-9_]+/g, '_')}(require, exports, module, __filename, __dirname) {`;
+            + `(function ${filename.replace(/[^A-Za-z0-9_]+/g, '_')}(require, exports, module, __filename, __dirname) {`
+            + breakpoint;
       const epilogue = '\n})';
+      wrappedCode = nodeWrapper ? Module.wrap(breakpoint + moduleCode) : prologue + moduleCode + epilogue;
 
-      moduleFun = vm.runInContext(prologue + moduleCode + epilogue,ctx, {
+      handle.coverage?.addScript(scriptFilename, {
         filename,
+        code: moduleCode,
+        prologueLength: nodeWrapper ? wrappedCode.indexOf(moduleCode) : prologue.length,
+        lineOffset,
+      });
+      const scriptOptions = {
+        filename: scriptFilename,
         lineOffset,
-        columnOffset: prologue.length,
+        columnOffset: nodeWrapper ? 0 : -prologue.length, /* prologue shares the first line; take its width back out */
+        importModuleDynamically: vm.SourceTextModule ? (specifier) => module.import(specifier) : undefined,
+      };
+      moduleFun = profiled('compile', filename, () => {
+        if (handle.compileCache && handle.vfs.exists(filename))
+          return handle.compileCache.compile(wrappedCode, scriptOptions, handle.vfs.stat(filename).mtimeMs).runInContext(ctx);
+        return vm.runInContext(wrappedCode, ctx, scriptOptions);
       });
     }
     catch(error)
     {
       if (error.name === 'SyntaxError')
+      {
         error.message += ' parsing ' + module.filename;
+        error.codeFrame = syntaxErrorFrame(error, source, scriptFilename, lineOffset, wrappedCode ? Math.max(wrappedCode.indexOf(moduleCode), 0) : 0);
+        if (error.codeFrame)
+          error.message += '\n' + error.codeFrame;
+      }
       throw error;
     }
-    const retval = moduleFun(module.require, module.exports, module, module.filename, dirname(module.filename));
+    const retval = profiled('execute', module.filename, () => nodeWrapper
+      ? moduleFun.call(module.exports, module.exports, module.require, module, module.filename, dirname(module.filename))
+      : moduleFun(module.require, module.exports, module, module.filename, dirname(module.filename)));
     if (typeof retval !== 'undefined') /* non-CJS idiom: return exports */
       module.exports = retval;
   }
 
-  function loadNAPIModule(module, filename)
+  /**
+   * Run the context's source transforms over a module's source code, in order, before it is wrapped or
+   * compiled. Each transform is invoked as transform(source, filename) and returns the new source code,
+   * an object with code and optional map properties, or undefined to leave the source alone. Source maps,
+   * either returned or inlined in the code, are remembered so that stack traces from the context refer to
+   * the original source; transforms without a map are assumed to preserve line and column positions.
+   */
+  function transformSource(source, filename)
   {
-    ctx.process.dlopen(module, filename); /* replaces module.exports */
+    const handle = contextHandle(ctx);
+    const maps = [];
+
+    for (let transform of handle.transforms)
+    {
+      let result = transform(source, filename);
+      if (typeof result === 'undefined')
+        continue;
+      if (typeof result === 'string')
+        result = { code: result };
+
+      source = result.code;
+      const map = result.map || inlineSourceMap(source);
+      if (map)
+      {
+        const decoded = decodeSourceMap(map);
+        decoded.sources = decoded.sources.map((mapSource) => /^([a-zA-Z][a-zA-Z0-9+.-]*:|\/)/.test(mapSource) ? mapSource : relativeResolve(dirname(filename), mapSource));
+        maps.unshift(decoded); /* stack traces are mapped through the last transform first */
+      }
+    }
+
+    if (maps.length)
+      handle.sourceMaps.set(filename, maps);
+    else
+      handle.sourceMaps.delete(filename);
+
+    return source;
   }
 
-  function loadJSONModule(module, filename)
+  function loadNAPIModule(module, filename)
   {
-    copyProps(module.exports, JSON.parse(fs.readFileSync(filename, 'utf-8')));
+    contextHandle(ctx).checkFile(filename, module.parent?.filename);
+    (contextHandle(ctx).process || process).dlopen(module, filename); /* replaces module.exports; ctx.process may not be set */
   }
 
-  function loadModule(filename)
+  /**
+   * Load a WebAssembly module, compiling and instantiating it with the context's WebAssembly so that its
+   * exports belong to the context. Each of the module's imports is satisfied by requiring its module
+   * name relative to the .wasm file, like Node's WebAssembly ES module integration does.
+   */
+  function loadWasmModule(module, filename)
   {
-    const module = moduleCache[filename] = new CtxModule(ctx, filename, moduleCache, { require: that.require });
-    const match = filename.match(/\.[a-z]*$/);
-    const ext = match && match[0];
+    const WebAssembly = vm.runInContext('WebAssembly', ctx);
 
-    /* use either the correct-named or the .js loader to load this file as a module */
-    const loader = that.require.extensions[ext] || that.require.extensions['.js'];
-
-    debug('ctx-module:load')(loader.name, filename);
+    contextHandle(ctx).checkFile(filename, module.parent?.filename);
+    const bytes = profiled('read', filename, () => contextHandle(ctx).vfs.readFile(filename));
+    const wasmModule = profiled('compile', filename, () => new WebAssembly.Module(bytes));
+    const imports = {};
 
-    try 
-    {
-      loader(module, filename);
-    } 
-    catch (error) 
+    for (let { module: moduleIdentifier } of WebAssembly.Module.imports(wasmModule))
     {
-      delete moduleCache[filename];
-      throw error;
+      if (!imports.hasOwnProperty(moduleIdentifier))
+        imports[moduleIdentifier] = module.require(moduleIdentifier);
     }
+    module.exports = profiled('execute', filename, () => new WebAssembly.Instance(wasmModule, imports).exports);
+  }
 
-    module.loaded = true;
-    return module;
+  function loadJSONModule(module, filename)
+  {
+    copyProps(module.exports, JSON.parse(contextHandle(ctx).readSource(filename, module.parent?.filename)));
   }
-  
+
   /**
-   * Locate a module file, given the base filename. This is where we handle resolution of various extensions, 
-   * index.js, package.json 'main' property, etc. The base filename would also be the canonical module identifier
-   * in most cases (special case for /index when we recurse).
-   *
-   * @param {string} filenameBase   rooted path plus most of filename
+   * Load an ECMAScript module. The source code is compiled into a vm.SourceTextModule which is stored
+   * in module.esm; it is linked and evaluated later, asynchronously, by ctxImport.
    */
-  function locateModuleFile(filenameBase)
+  function loadESModule(module, filename)
   {
-    var filename;
+    if (!vm.SourceTextModule)
+    {
+      const error = new Error(`cannot load ES module ${filename} -- node must be run with --experimental-vm-modules`);
+      error.code = 'ERR_REQUIRE_ESM';
+      throw error;
+    }
+
+    const handle = contextHandle(ctx);
+    const code = transformSource(handle.readSource(filename, module.parent?.filename), filename);
+    const identifier = handle.scriptUrl(filename);
+
+    handle.coverage?.addScript(identifier, { filename, code, prologueLength: 0, lineOffset: 0 });
+    module.esm = new vm.SourceTextModule(code, {
+      context: ctx,
+      identifier,
+      initializeImportMeta(meta) {
+        meta.url      = url.pathToFileURL(filename).href;
+        meta.filename = filename;
+        meta.dirname  = dirname(filename);
+      },
+      importModuleDynamically: (specifier) => module.import(specifier),
+    });
+  }
+
+  /**
+   * Return the exports of a loaded module for require(); the exports of ESMs are their module namespace
+   * objects. Linking is asynchronous, so ESMs can only be required once they have been linked, ie imported
+   * (or imported by a module which is being imported); a linked ESM which has not been evaluated yet is
+   * evaluated synchronously, unless it uses top-level await.
+   */
+  function moduleExports(module)
+  {
+    if (!module.esm)
+      return module.exports;
+
+    switch (module.esm.status)
+    {
+      case 'linked':
+        module.esm.evaluate().catch(() => {}); /* errors are thrown below, and to whoever imports the module */
+        if (module.esm.status === 'evaluating' || !namespaceInitialized(module.esm))
+        {
+          const error = new Error(`require() of ES module ${module.filename} which uses top-level await; use import() instead`);
+          error.code = 'ERR_REQUIRE_ASYNC_MODULE';
+          throw error;
+        }
+        return moduleExports(module);
+      case 'evaluating':
+      case 'evaluated':
+        return module.esm.namespace;
+      case 'errored':
+        throw module.esm.error;
+      default:
+        throw requireESMError(module.filename);
+    }
+  }
+
+  /**
+   * Return false if some of an evaluated ESM's exports are still uninitialized, which is how modules whose
+   * evaluation is waiting on top-level await look from outside.
+   */
+  function namespaceInitialized(esm)
+  {
+    if (esm.status !== 'evaluated')
+      return true;
+    try
+    {
+      Object.values(esm.namespace);
+      return true;
+    }
+    catch(error)
+    {
+      return error?.name !== 'ReferenceError';
+    }
+  }
+
+  function requireESMError(filename)
+  {
+    const error = new Error(`require() of ES module ${filename} which has not been imported yet; ESMs are linked asynchronously, so use import() instead, or import() it before requiring it`);
+    error.code = 'ERR_REQUIRE_ESM';
+    return error;
+  }
+
+  /**
+   * Map an ESM import specifier onto a module identifier that requireResolve understands.
+   */
+  function esmSpecifier(specifier)
+  {
+    if (specifier.startsWith('file:'))
+      return url.fileURLToPath(specifier);
+    if (specifier.startsWith('node:'))
+      return specifier.slice(5);
+    return specifier;
+  }
+
+  /**
+   * Decide if a file is an ECMAScript module: .mjs files always are, and .js files are when the
+   * nearest package.json has "type": "module".
+   */
+  function isESModuleFile(filename)
+  {
+    if (filename.endsWith('.mjs'))
+      return !that.require.extensions.hasOwnProperty('.mjs'); /* a custom .mjs loader replaces the ESM loader */
+    if (!filename.endsWith('.js'))
+      return false;
+
+    const scope = findPackageScope(filename);
+    return !!scope && scope.pkg.type === 'module';
+  }
+
+  /**
+   * Find the package.json which governs the given filename: the nearest one in its directory or
+   * one of its ancestors, stopping at node_modules like Node does.
+   *
+   * @returns an object with path and pkg properties, or undefined if there is no package.json
+   */
+  function findPackageScope(filename)
+  {
+    const cache = rejectedCandidates ? undefined : contextHandle(ctx).resolution?.packageScope;
+    const directory = dirname(filename);
+    var scope;
+
+    if (cache?.has(directory))
+      return cache.get(directory);
+
+    for (let path = directory; path !== dirname(path) || path === '/'; path = dirname(path))
+    {
+      if (path.endsWith('/node_modules'))
+        break;
+      const pkg = readPackageJson(path);
+      if (pkg)
+      {
+        scope = { path, pkg };
+        break;
+      }
+      if (path === '/')
+        break;
+    }
+
+    cache?.set(directory, scope);
+    return scope;
+  }
+
+  /**
+   * Read and parse the package.json in the given directory.
+   *
+   * @returns the parsed package.json, or undefined if there is none
+   */
+  function readPackageJson(path)
+  {
+    try
+    {
+      return contextHandle(ctx).readPackageJson(path);
+    }
+    catch(error)
+    {
+      if (error.code !== 'ERR_INVALID_PACKAGE_CONFIG' || !rejectedCandidates)
+        throw error;
+      rejectCandidate(error.path, error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Return the vm.Module for a resolved filename, loading the module if necessary. ESMs are loaded but
+   * not evaluated; CommonJS modules are evaluated and wrapped in a vm.SyntheticModule.
+   */
+  function vmModuleFor(filename, importer)
+  {
+    var module = moduleCache[filename];
+    const mock = contextHandle(ctx).mockFor(filename, importer);
+
+    if (!vm.SourceTextModule)
+      throw requireESMError(filename);
+
+    if (mock)
+      return syntheticModuleFor(ctx, mockModule(mock, filename), filename);
+    if (typeof module !== 'object')
+      module = loadModule(filename);
+
+    return module.esm || syntheticModuleFor(ctx, module, filename);
+  }
+
+  /**
+   * Link an ESM; each dependency is resolved relative to the module which imports it.
+   */
+  function linkModule(esm)
+  {
+    function linker(specifier, referencingModule)
+    {
+      const referrer = moduleCache[scriptUrlFilename(referencingModule.identifier)];
+      const filename = resolveForImporter(referrer, esmSpecifier(specifier), { conditions: importConditions(ctx) });
+
+      contextHandle(ctx).addDependency(referrer.filename, filename);
+      contextHandle(ctx).markUsed(filename);
+      return vmModuleFor(filename, referrer.filename);
+    }
+
+    if (!esmLinkPromises.has(esm))
+      esmLinkPromises.set(esm, esm.status === 'unlinked' ? esm.link(linker) : Promise.resolve());
+    return esmLinkPromises.get(esm);
+  }
+
+  /**
+   * Resolve a module identifier which module is about to require or import. Identifiers of modules
+   * which do not exist but which have been mocked for module resolve to themselves, and modules which
+   * are not mocked must be allowed by the context's policy.
+   */
+  function resolveForImporter(module, moduleIdentifier, options)
+  {
+    const handle = contextHandle(ctx);
+    var filename;
+
+    if (!handle.mockFor(moduleIdentifier.replace(/^node:/, ''), module.filename))
+      handle.checkBuiltin(moduleIdentifier, module.filename);
+
+    try
+    {
+      if (handle.Module)
+        filename = handle.Module._resolveFilename(moduleIdentifier, module, false, options);
+      else
+        filename = module.require.resolve(moduleIdentifier, options);
+    }
+    catch(error)
+    {
+      if (error.code === 'MODULE_NOT_FOUND' && handle.mockFor(moduleIdentifier, module.filename))
+        return moduleIdentifier;
+      throw error;
+    }
+
+    if (!handle.mockFor(filename, module.filename))
+      handle.checkFile(filename, module.filename);
+    return filename;
+  }
+
+  /**
+   * Return the CtxModule which holds a mock's exports, running the mock's factory the first time. The
+   * factory's argument is a function which returns the exports of the real module.
+   */
+  function mockModule(mock, filename)
+  {
+    function actual()
+    {
+      if (moduleCache.hasOwnProperty(filename) && typeof moduleCache[filename] === 'object')
+        return moduleExports(moduleCache[filename]);
+      return loadModule(filename).exports;
+    }
+
+    if (!mock.module)
+      mock.module = mockedModule(ctx, mock.factory(actual));
+    return mock.module;
+  }
+
+  function loadModule(filename)
+  {
+    const module = moduleCache[filename] = new CtxModule(ctx, filename, moduleCache, that);
+    const match = filename.match(/\.[a-z]*$/);
+    const ext = match && match[0];
+
+    /* use either the ESM loader, the correct-named, or the .js loader to load this file as a module */
+    const loader = isESModuleFile(filename) ? loadESModule : that.require.extensions[ext] || that.require.extensions['.js'];
+
+    debug('ctx-module:load')(loader.name, filename);
+    if (!that.children.includes(module))
+      that.children.push(module);
+
+    try 
+    {
+      loader(module, filename);
+    } 
+    catch (error) 
+    {
+      delete moduleCache[filename];
+      throw error;
+    }
+
+    module.loaded = !module.esm; /* ESMs are loaded when they are evaluated */
+    contextHandle(ctx).watchFile(filename);
+    return module;
+  }
+  
+  /**
+   * Locate a module file, given the base filename. This is where we handle resolution of various extensions, 
+   * index.js, package.json 'main' property, etc. The base filename would also be the canonical module identifier
+   * in most cases (special case for /index when we recurse).
+   *
+   * @param {string} filenameBase   rooted path plus most of filename
+   */
+  function locateModuleFile(filenameBase)
+  {
+    var filename;
+    const pkg = readPackageJson(filenameBase);
+
+    if (pkg)
+    {
+      const main = (contextHandle(ctx).conditions.includes('browser') && typeof pkg.browser === 'string') ? pkg.browser : pkg.main;
+      if (!(filename = locateModuleFile(relativeResolve(filenameBase, main || 'index.js'))))
+        rejectCandidate(`${filenameBase}/package.json`, main ? `main "${main}" does not exist` : 'no main, and no index.js');
+      return filename;
+    }
+
+    const type = contextHandle(ctx).statType(filenameBase); /* either filenameBase is a module file or its directory */
+    if (type === 'file')
+      return filenameBase;
+    if (type === 'dir' && !filenameBase.endsWith('/index'))
+    {
+      if ((filename = locateModuleFile(`${filenameBase}/index`)))
+        return filename;
+      rejectCandidate(filenameBase, 'directory has no package.json or index file');
+    }
+    else if (!type)
+      rejectCandidate(filenameBase, 'not found');
+
+    for (let ext in that.require.extensions)
+    {
+      if (contextHandle(ctx).statType(filename = `${filenameBase}${ext}`))
+        return filename;
+      rejectCandidate(filename, 'not found');
+    }
+
+    /* module not found; when diagnosing, look for files which would have been found with another loader */
+    if (rejectedCandidates)
+    {
+      for (let ext of diagnosticExtensions.filter((known) => !that.require.extensions.hasOwnProperty(known)))
+      {
+        if (contextHandle(ctx).statType(filename = `${filenameBase}${ext}`) === 'file')
+          rejectCandidate(filename, `extension ${ext} is not in require.extensions`);
+      }
+    }
+    return false;
+  }
+
+  /* Create the exports for the module module; it is special because it needs access to our internals. */
+  if (cnId === 'module')
+  {
+    /* Wrapper to mimic Node's Module constructor, which is also the module module's exports */
+    const Module = this.exports = function Module(id = '', parentModule)
+    {
+      const req = parentModule?.require || this.require;
+      const ret = new CtxModule(ctx, id, moduleCache, { require: req });
+      return ret;
+    }
+
+    Module.prototype = contextHandle(ctx).modulePrototype;
+    Module.Module = Module;
+    Object.defineProperty(Module, 'builtinModules', { /* the Node builtins ctx provides, not injected or mocked modules */
+      enumerable: true,
+      get: () => builtinModules.filter((id) => moduleCache.hasOwnProperty(id)).sort(),
+    });
+    Module.isBuiltin = function isBuiltin(moduleIdentifier) {
+      return Module.builtinModules.includes(String(moduleIdentifier).replace(/^node:/, ''));
+    };
+    Module._nodeModulePaths = makeNodeModulesPaths;
+    Module._extensions = this.require.extensions;
+    Module.wrapper = nodeWrapperStrings.slice();
+    Module.wrap = Module.defaultWrap = function wrap(script) {
+      return Module.wrapper[0] + script + Module.wrapper[1];
+    };
+    Object.defineProperty(Module, 'defaultWrap', { enumerable: false });
+
+    /* Create a _cache property which looks like Node's, and intercept mutations
+     * so that we can change moduleCache to match.
+     */
+    Module._cache = new Proxy(moduleCache, {
+      get (_moduleCache, moduleIdentifier) {
+        const retval = (true
+                        && typeof moduleCache.hasOwnProperty(moduleIdentifier)
+                        && typeof moduleCache[moduleIdentifier] === 'object')
+              ? moduleCache[moduleIdentifier]
+              : undefined;
+        return retval;
+      },
+      set (_moduleCache, moduleIdentifier, value) {
+        if (!(value instanceof CtxModule))
+          throw new Error('value must be an instance of CtxModule');
+        moduleCache[moduleIdentifier] = value;
+        return true;
+      }
+    });
+
+    Module.createRequire = function ctxCreateRequire(filename) {
+      const dummy = new CtxModule(ctx, filename, moduleCache);
+      return dummy.require;
+    };
+
+    /** Load a module for parent (a CtxModule, default the context's main module) and return its exports */
+    Module._load = function _load(request, parentModule, _isMain) {
+      const internals = moduleInternals.get(parentModule) || moduleInternals.get(ctx.module) || moduleInternals.get(that);
+      return internals.require(request);
+    };
+
+    /**
+     * Resolve a module identifier relative to parent (a CtxModule or an object with a filename, default
+     * the context's main module). require.resolve calls this, so patching it changes require.resolve too.
+     */
+    Module._resolveFilename = function _resolveFilename(request, parentModule, _isMain, options) {
+      var internals = moduleInternals.get(parentModule);
+
+      if (!internals && parentModule?.filename)
+        internals = moduleInternals.get(new CtxModule(ctx, parentModule.filename, moduleCache));
+      return (internals || moduleInternals.get(ctx.module || that)).resolve(request, options);
+    };
+
+    /** Find request in the given node_modules (or require.path) directories; false if it is not there */
+    Module._findPath = function _findPath(request, paths) {
+      if (request[0] === '/' || /^[a-zA-Z]:[/\\]/.test(request))
+        return locateModuleFile(request.replace(/\\/g, '/')) || false;
+      for (let path of paths || [])
+      {
+        const filename = locatePackageFile(path, request, contextHandle(ctx).conditions);
+        if (filename)
+          return filename;
+      }
+      return false;
+    };
+
+    contextHandle(ctx).Module = Module;
+  }
+}
+
+/**
+ * Module.prototype._compile for modules in contexts which have not patched it: compile and run the
+ * module's code. Patching Module.prototype in a context only affects that context's modules.
+ *
+ * @param {string} content    the module's source code, after transforms
+ * @param {string} filename   the module's filename
+ */
+CtxModule.prototype._compile = function _compile(content, filename)
+{
+  return moduleInternals.get(this).compile(content, filename);
+}
+
+/**
+ * Creates a new CtxModule with the given exports. We try to be smart and create a new exports object
+ * so that it can be safely mutated, but when that's not possible, we use the original exports object
+ * and just punch it through to the new ctx.
+ *
+ * Warning -- creating modules with this method runs the risk of context leakage. CtxModule.shared and
+ * CtxModule.isolated give explicit control over identity.
+ */
+CtxModule.from = function ctxModuleFrom(ctx, exports)
+{
+  const module = new CtxModule(ctx);
+
+  if (typeof exports !== 'object')
+    module.exports = exports; /* needed for exports which are functions */
+  else
+  {
+    if (exports.constructor !== Object)
+      module.exports = new (exports.constructor); /* magic modules like process need this */
+    copyProps(module.exports, exports);
+  }
+
+  return module;
+}
+
+/**
+ * Creates a new CtxModule whose exports are the given value itself, rather than a copy, so that a mock
+ * keeps its identity -- stubs added to it later are seen by the context -- and can be any value,
+ * including null.
+ */
+function mockedModule(ctx, exports)
+{
+  const module = new CtxModule(ctx);
+
+  module.exports = exports;
+  return module;
+}
+
+/* What CtxModule.shared and CtxModule.isolated return, for the modules option of makeNodeProgramContext */
+class ModuleDeclaration
+{
+  constructor(mode, value, options)
+  {
+    this.mode    = mode;
+    this.value   = value;
+    this.options = options;
+  }
+}
+
+/**
+ * Declare a module which is shared between the outer context and the contexts it is injected into
+ * with the modules option of makeNodeProgramContext, eg a logger or metrics registry. Every context sees
+ * the same object, through a membrane which translates the prototypes of built-in classes (Object,
+ * Array, Error, Promise, Buffer, etc) to the context's own, so that instanceof works across the boundary.
+ * Values returned, thrown or passed to callbacks by the shared module are wrapped the same way; objects
+ * the context passes in are unwrapped if they came from the module, and passed as-is otherwise.
+ *
+ * @param {object} exports      the module's exports
+ * @param {object} options      [optional] object with the following optional properties:
+ *                 - from       the context the exports were made in; default is the outer context
+ */
+CtxModule.shared = function ctxModuleShared(exports, options)
+{
+  return new ModuleDeclaration('shared', exports, options);
+}
+
+/**
+ * Declare a module which is instantiated separately in each context it is injected into with the modules
+ * option of makeNodeProgramContext, so that no state or objects are shared.
+ *
+ * @param {string|function} source   the module's filename, which is loaded in each context, or a factory
+ *                                   function which is invoked as factory(require), with the context's
+ *                                   require, and returns the module's exports
+ */
+CtxModule.isolated = function ctxModuleIsolated(source)
+{
+  return new ModuleDeclaration('isolated', source);
+}
+
+/**
+ * CompileCache constructor; creates a cache of V8 code cache data (vm.Script cachedData) for the module
+ * wrappers compiled by loadJSModule, so that loading the same modules into fresh contexts does not have
+ * to recompile them. Entries are keyed on filename, mtime and a hash of the wrapped source code, so
+ * that changes to either the module or the wrapper prologue (strict mode detection, function name) do
+ * not reuse stale data. V8 rejects data which does not match the source or the V8 version; rejected
+ * entries are dropped and replaced.
+ *
+ * @param {object} options      [optional] object with the following optional properties:
+ *                 - directory  directory in which to also keep the cache on disk
+ */
+class CompileCache
+{
+  constructor(options)
+  {
+    this.directory = options?.directory;
+    this.entries   = new Map(); /* key -> Buffer */
+    this.stats     = { hits: 0, misses: 0, rejections: 0 };
+  }
+
+  /**
+   * Compile code with vm.Script, using and updating the cache.
+   *
+   * @param {string} code           the code to compile
+   * @param {object} scriptOptions  options for vm.Script; options.filename must be the module's filename
+   * @param {number} mtimeMs        the module file's modification time
+   * @returns the vm.Script
+   */
+  compile(code, scriptOptions, mtimeMs)
+  {
+    const filename = scriptOptions.filename;
+    const key = require('crypto').createHash('sha256')
+      .update(`${process.version}\0${filename}\0${mtimeMs}\0`)
+      .update(code)
+      .digest('hex');
+    const cachedData = this.get(key);
+    const script = new vm.Script(code, Object.assign({}, scriptOptions, { cachedData }));
+
+    if (!cachedData)
+      this.stats.misses++;
+    else if (script.cachedDataRejected)
+    {
+      this.stats.rejections++;
+      debug('ctx-module:compileCache')('rejected', filename);
+    }
+    else
+    {
+      this.stats.hits++;
+      debug('ctx-module:compileCache')('hit', filename);
+      return script;
+    }
+
+    this.set(key, script.createCachedData());
+    return script;
+  }
+
+  get(key)
+  {
+    if (!this.entries.has(key) && this.directory)
+    {
+      try
+      {
+        this.entries.set(key, fs.readFileSync(`${this.directory}/${key}.v8cache`));
+      }
+      catch(error)
+      {
+        if (error.code !== 'ENOENT')
+          throw error;
+      }
+    }
+    return this.entries.get(key);
+  }
+
+  set(key, data)
+  {
+    this.entries.set(key, data);
+    if (this.directory)
+    {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(`${this.directory}/${key}.v8cache`, data);
+    }
+  }
+
+  /**
+   * Forget every entry, including the ones on disk.
+   */
+  clear()
+  {
+    this.entries.clear();
+    if (this.directory)
+      fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * LoadProfiler constructor; creates a profiler which records how long each module loaded by a context
+ * spends being resolved, read, compiled and executed. Spans nest like the loads do: the spans of the
+ * modules a module requires are inside its execute span, and are subtracted from its self time.
+ */
+class LoadProfiler
+{
+  constructor()
+  {
+    this.origin = performance.now();
+    this.spans  = [];  /* { phase, filename, start, duration, depth, nested } in the order they started */
+    this.open   = [];  /* stack of the spans which have not finished */
+  }
+
+  /**
+   * Run fn, recording how long it takes.
+   *
+   * @param {string}   phase     'resolve', 'read', 'compile' or 'execute'
+   * @param {string}   filename  the module's filename. Resolve spans are recorded under the filename fn
+   *                             returns; this argument, the module identifier, is used if fn throws.
+   * @param {function} fn        function to run
+   * @returns the value fn returns
+   */
+  time(phase, filename, fn)
+  {
+    const span = { phase, filename, start: performance.now(), duration: 0, depth: this.open.length, nested: 0 };
+    const parent = this.open[this.open.length - 1];
+
+    this.spans.push(span);
+    this.open.push(span);
+    try
+    {
+      const result = fn();
+      if (phase === 'resolve' && typeof result === 'string')
+        span.filename = result;
+      return result;
+    }
+    finally
+    {
+      span.duration = performance.now() - span.start;
+      if (this.open[this.open.length - 1] === span) /* not when clear() ran in fn */
+        this.open.pop();
+      if (parent)
+        parent.nested += span.duration;
+    }
+  }
+
+  /**
+   * Summarize the spans by module, most expensive first. Each row has the module's filename, the
+   * milliseconds spent in each phase (including the modules it required), its self time (excluding
+   * them) and its total time.
+   *
+   * @param {string} sortBy   [optional] the column to sort on; default is 'total'
+   * @returns an array of { filename, resolve, read, compile, execute, self, total }
+   */
+  table(sortBy = 'total')
+  {
+    const rows = new Map();
+
+    for (let span of this.spans)
+    {
+      if (!rows.has(span.filename))
+        rows.set(span.filename, { filename: span.filename, resolve: 0, read: 0, compile: 0, execute: 0, self: 0, total: 0 });
+      const row = rows.get(span.filename);
+      row[span.phase] += span.duration;
+      row.self += span.duration - span.nested;
+      row.total += span.duration;
+    }
+
+    return Array.from(rows.values()).sort((a, b) => b[sortBy] - a[sortBy]);
+  }
+
+  /**
+   * Format table() as text, one line per module, with times in milliseconds.
+   *
+   * @param {object} options          [optional] object with the following optional properties:
+   *                 - sortBy         the column to sort on; default is 'total'
+   *                 - limit          the maximum number of modules to list
+   */
+  report(options)
+  {
+    const columns = ['total', 'self', 'resolve', 'read', 'compile', 'execute'];
+    const rows = this.table(options?.sortBy).slice(0, options?.limit);
+    const lines = [ columns.map((column) => column.padStart(9)).join('') + '  module' ];
+
+    for (let row of rows)
+      lines.push(columns.map((column) => row[column].toFixed(2).padStart(9)).join('') + '  ' + row.filename);
+    return lines.join('\n');
+  }
+
+  /**
+   * Return the spans in Chrome's trace event format, which chrome://tracing, Perfetto and the
+   * Performance panel of Chrome DevTools can load.
+   *
+   * @param {string} name   [optional] the name of the thread the events are on, eg the context's name
+   * @returns an object with a traceEvents property
+   */
+  traceEvents(name)
+  {
+    const traceEvents = this.spans.map((span) => ({
+      name: `${span.phase} ${span.filename}`,
+      cat:  span.phase,
+      ph:   'X',
+      ts:   Math.round((span.start - this.origin) * 1000),
+      dur:  Math.round(span.duration * 1000),
+      pid:  process.pid,
+      tid:  1,
+      args: { filename: span.filename },
+    }));
+
+    if (name)
+      traceEvents.unshift({ name: 'thread_name', ph: 'M', pid: process.pid, tid: 1, args: { name } });
+    return { traceEvents };
+  }
+
+  /**
+   * Write traceEvents() to a file as JSON.
+   */
+  saveTrace(filename, name)
+  {
+    fs.writeFileSync(filename, JSON.stringify(this.traceEvents(name)));
+  }
+
+  /**
+   * Forget the spans recorded so far, and start timing trace events from now. Spans which have not finished
+   * yet are forgotten too, so that modules loaded from here on are not nested under them.
+   */
+  clear()
+  {
+    this.origin = performance.now();
+    this.spans  = [];
+    this.open   = [];
+  }
+}
+
+/**
+ * ContextOutput constructor; creates the console, stdout and stderr of a context made with the console
+ * option of makeNodeProgramContext. What the context writes to them is captured, passed to a sink, or
+ * written to the host's stdout and stderr with each line prefixed, eg with the context's name.
+ *
+ * @param {object} options          [optional] object with the following optional properties:
+ *                 - prefix         string to put at the start of each line written to the host's streams,
+ *                                  or false; default is "[contextName] " when the context has a name
+ *                 - capture        true to record what is written, see entries and text()
+ *                 - silent         true to not write to the host's streams
+ *                 - sink           function which is invoked as sink(text, stream, contextName) for each
+ *                                  write, instead of writing to the host's streams
+ * @param {string} contextName      [optional] the name of the context
+ */
+class ContextOutput
+{
+  constructor(options, contextName)
+  {
+    const { Writable } = require('stream');
+    const { Console } = require('console');
+
+    this.contextName = contextName;
+    this.prefix      = (typeof options?.prefix === 'string' || options?.prefix === false) ? options.prefix || '' : (contextName ? `[${contextName}] ` : '');
+    this.capture     = !!options?.capture;
+    this.silent      = !!options?.silent;
+    this.sink        = options?.sink;
+    this.entries     = [];  /* { stream, text } for each write, when capturing */
+    this.lineStart   = { stdout: true, stderr: true };
+
+    for (let stream of ['stdout', 'stderr'])
+    {
+      this[stream] = new Writable({
+        decodeStrings: false,
+        write: (chunk, encoding, callback) => {
+          this.write(stream, String(chunk));
+          callback();
+        },
+      });
+    }
+    this.console = new Console({ stdout: this.stdout, stderr: this.stderr, colorMode: false });
+  }
+
+  /**
+   * Route text which the context wrote to one of its streams.
+   *
+   * @param {string} stream   'stdout' or 'stderr'
+   * @param {string} text     the text
+   */
+  write(stream, text)
+  {
+    if (this.capture)
+      this.entries.push({ stream, text });
+    if (this.sink)
+      this.sink(text, stream, this.contextName);
+    else if (!this.silent)
+      process[stream].write(this.prefixed(stream, text));
+  }
+
+  /**
+   * Return text with the prefix at the start of each of its lines, continuing the stream's last line.
+   */
+  prefixed(stream, text)
+  {
+    const atLineStart = this.lineStart[stream];
+
+    if (!this.prefix || !text)
+      return text;
+    this.lineStart[stream] = text.endsWith('\n');
+    return (atLineStart ? this.prefix : '') + text.replace(/\n(?!$)/g, '\n' + this.prefix);
+  }
+
+  /**
+   * Return the captured text.
+   *
+   * @param {string} stream   [optional] 'stdout' or 'stderr'; default is both, interleaved
+   */
+  text(stream)
+  {
+    return this.entries.filter((entry) => !stream || entry.stream === stream).map((entry) => entry.text).join('');
+  }
+
+  /**
+   * Forget the captured text.
+   */
+  clear()
+  {
+    this.entries = [];
+  }
+}
+
+/**
+ * ContextCoverage constructor; creates a collection of the V8 precise coverage of the modules compiled
+ * by one context; see CtxHandle.startCoverage. Counts are per line, per function and per block (V8's
+ * block coverage, which is reported as istanbul branches), in the module's source code rather than its
+ * wrapper, and are added up across takes of the isolate's coverage.
+ */
+class ContextCoverage
+{
+  /**
+   * @param {string} scriptPrefix   [optional] the start of the URLs which the context compiles modules
+   *                                under while collecting this coverage; see CtxHandle.scriptUrl
+   */
+  constructor(scriptPrefix)
+  {
+    this.scriptPrefix = scriptPrefix;
+    this.scripts = new Map(); /* script URL -> { filename, code, prologueLength, lineOffset } */
+    this.files   = new Map(); /* filename -> { lines, functions, branches }, each a Map of counted things */
+  }
+
+  /**
+   * Remember a module wrapper compiled by the context, so that its coverage can be found and mapped
+   * back onto the module's code.
+   *
+   * @param {string} scriptUrl   the URL the script was compiled under; see CtxHandle.scriptUrl
+   * @param {object} script      object with the following properties:
+   *                 - filename          the module's filename
+   *                 - code              the module's code, as it was wrapped
+   *                 - prologueLength    the length of the wrapper code before the module's code
+   *                 - lineOffset        the line number, less one, of the first line of code
+   */
+  addScript(scriptUrl, script)
+  {
+    this.scripts.set(scriptUrl, script);
+  }
+
+  /**
+   * Add the counts in the result of the inspector's Profiler.takePreciseCoverage for the scripts which
+   * were compiled by the context.
+   */
+  addResult(scriptCoverages)
+  {
+    for (let { url: scriptUrl, functions } of scriptCoverages)
+    {
+      const script = this.scripts.get(scriptUrl) || (scriptUrl.startsWith('file:') && this.scripts.get(url.fileURLToPath(scriptUrl)));
+      if (script)
+        this.addFunctions(script, functions);
+    }
+  }
+
+  addFunctions(script, functions)
+  {
+    const { filename, code, prologueLength, lineOffset } = script;
+    const lineStarts = [0];
+    const ranges = [];
+
+    if (!this.files.has(filename))
+      this.files.set(filename, { lines: new Map(), functions: new Map(), branches: new Map() });
+    const file = this.files.get(filename);
+
+    for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1))
+      lineStarts.push(i + 1);
+
+    /* position of an offset in the module's code, with one-based lines and zero-based columns */
+    function positionAt(offset)
+    {
+      var line = 0;
+
+      offset = Math.min(Math.max(offset, 0), code.length);
+      for (let lo = 0, hi = lineStarts.length - 1; lo <= hi;)
+      {
+        const mid = (lo + hi) >> 1;
+        if (lineStarts[mid] <= offset)
+        {
+          line = mid;
+          lo = mid + 1;
+        }
+        else
+          hi = mid - 1;
+      }
+      return { line: line + 1 + lineOffset, column: offset - lineStarts[line] };
+    }
+
+    for (let fn of functions)
+    {
+      fn.ranges.forEach((range, i) => ranges.push({
+        start:      range.startOffset - prologueLength,
+        end:        range.endOffset - prologueLength,
+        count:      range.count,
+        name:       fn.functionName,
+        isFunction: i === 0,
+        isScript:   i === 0 && range.startOffset === 0,
+      }));
+    }
+    ranges.sort((a, b) => a.start - b.start || b.end - a.end); /* outer ranges before the ranges inside them */
+
+    /* each line gets the count of the innermost range which contains all of its code */
+    lineStarts.forEach((lineStart, i) => {
+      const lineCode = code.slice(lineStart, i + 1 < lineStarts.length ? lineStarts[i + 1] - 1 : code.length);
+      const start = lineStart + lineCode.search(/\S/);
+      const end = lineStart + lineCode.trimEnd().length;
+      var count;
+
+      if (start < lineStart || start >= end)
+        return; /* blank line */
+      for (let range of ranges)
+      {
+        if (range.start <= start && range.end >= end)
+          count = range.count;
+      }
+      if (count === undefined)
+        return;
+
+      const key = i + 1 + lineOffset;
+      const line = file.lines.get(key) || { column: start - lineStart, endColumn: end - lineStart, count: 0 };
+      line.count += count;
+      file.lines.set(key, line);
+    });
+
+    for (let range of ranges)
+    {
+      if (range.start < 0 || range.isScript) /* the wrapper, and the script or ES module it is in */
+        continue;
+
+      const things = range.isFunction ? file.functions : file.branches;
+      const key = `${range.start}:${range.end}`;
+      if (!things.has(key))
+        things.set(key, { name: range.name || `(anonymous_${file.functions.size})`, start: positionAt(range.start), end: positionAt(range.end), count: 0 });
+      things.get(key).count += range.count;
+    }
+  }
+
+  /**
+   * Return the coverage in istanbul's format, ie the format of nyc's coverage-final.json, which
+   * istanbul-lib-coverage and the istanbul reporters understand. Each covered line is a statement,
+   * and each block is a branch with one location.
+   */
+  toIstanbul()
+  {
+    const coverageMap = {};
+
+    for (let [filename, file] of this.files)
+    {
+      const fileCoverage = coverageMap[filename] = { path: filename, statementMap: {}, s: {}, fnMap: {}, f: {}, branchMap: {}, b: {} };
+      const loc = (thing) => ({ start: thing.start, end: thing.end });
+
+      sortedEntries(file.lines).forEach(([line, { column, endColumn, count }], i) => {
+        fileCoverage.statementMap[i] = { start: { line, column }, end: { line, column: endColumn } };
+        fileCoverage.s[i] = count;
+      });
+      sortedEntries(file.functions).forEach(([, fn], i) => {
+        fileCoverage.fnMap[i] = { name: fn.name, decl: loc(fn), loc: loc(fn), line: fn.start.line };
+        fileCoverage.f[i] = fn.count;
+      });
+      sortedEntries(file.branches).forEach(([, branch], i) => {
+        fileCoverage.branchMap[i] = { type: 'branch', line: branch.start.line, loc: loc(branch), locations: [ loc(branch) ] };
+        fileCoverage.b[i] = [ branch.count ];
+      });
+    }
+
+    return coverageMap;
+  }
+
+  /**
+   * Return the coverage in lcov's tracefile format, eg for genhtml, Codecov or Coveralls.
+   */
+  toLcov()
+  {
+    const records = [];
+
+    for (let [filename, file] of this.files)
+    {
+      const functions = sortedEntries(file.functions).map(([, fn]) => fn);
+      const branches = sortedEntries(file.branches).map(([, branch]) => branch);
+      const lines = sortedEntries(file.lines);
+      const record = [ 'TN:', `SF:${filename}` ];
+
+      functions.forEach((fn) => record.push(`FN:${fn.start.line},${fn.name}`));
+      functions.forEach((fn) => record.push(`FNDA:${fn.count},${fn.name}`));
+      record.push(`FNF:${functions.length}`, `FNH:${functions.filter((fn) => fn.count).length}`);
+      branches.forEach((branch, i) => record.push(`BRDA:${branch.start.line},${i},0,${branch.count}`));
+      record.push(`BRF:${branches.length}`, `BRH:${branches.filter((branch) => branch.count).length}`);
+      lines.forEach(([line, { count }]) => record.push(`DA:${line},${count}`));
+      record.push(`LF:${lines.length}`, `LH:${lines.filter(([, { count }]) => count).length}`, 'end_of_record');
+      records.push(record.join('\n'));
+    }
+
+    return records.join('\n') + '\n';
+  }
+
+  /**
+   * Write coverage-final.json (toIstanbul) and lcov.info (toLcov) into a directory, which is created if
+   * necessary.
+   */
+  save(directory)
+  {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(`${directory}/coverage-final.json`, JSON.stringify(this.toIstanbul()));
+    fs.writeFileSync(`${directory}/lcov.info`, this.toLcov());
+  }
+}
+
+/**
+ * Return the entries of a Map whose keys are either line numbers or "start:end" offsets, in order.
+ */
+function sortedEntries(map)
+{
+  const order = (key) => String(key).split(':').map(Number);
+  return Array.from(map.entries()).sort(([a], [b]) => order(a)[0] - order(b)[0] || (order(a)[1] || 0) - (order(b)[1] || 0));
+}
+
+/**
+ * Send a command to the inspector.
+ *
+ * @returns a Promise which resolves to the command's result
+ */
+function inspectorPost(session, method, params)
+{
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (error, result) => error ? reject(error) : resolve(result));
+  });
+}
+
+/**
+ * The filesystem used by contexts which do not specify one. A context's filesystem (its vfs option) is
+ * an object with synchronous stat(filename), readFile(filename) and exists(filename) methods, which work
+ * like fs.statSync, fs.readFileSync without an encoding, and fs.existsSync, and optionally a promises
+ * property with asynchronous stat and readFile methods.
+ */
+const diskFileSystem = {
+  stat:     (filename) => fs.statSync(filename),
+  readFile: (filename) => fs.readFileSync(filename),
+  exists:   (filename) => fs.existsSync(filename),
+  promises: {
+    stat:     (filename) => fs.promises.stat(filename),
+    readFile: (filename) => fs.promises.readFile(filename),
+  },
+};
+
+/**
+ * Call a filesystem method asynchronously, using the filesystem's promises API when it has one.
+ */
+function vfsPromise(vfs, method, filename)
+{
+  if (vfs.promises?.[method])
+    return vfs.promises[method](filename);
+  return Promise.resolve().then(() => vfs[method](filename));
+}
+
+/**
+ * Return true if filename is in ctx-module's own node_modules directory, where the polyfills for builtin
+ * modules come from.
+ */
+function isPolyfillFile(filename)
+{
+  const polyfillsDir = `${__dirname.split('\\').join('/')}/node_modules`;
+  return filename === polyfillsDir || filename.startsWith(polyfillsDir + '/');
+}
+
+/**
+ * Return the real directories, with trailing slashes, of the named packages in ctx-module's own
+ * node_modules directory, and of the packages they depend on. Dependencies are looked up the way node
+ * would, from the depending package's directory up to - but not past - ctx-module's directory.
+ *
+ * @param {Array<string>} names   the names of the polyfill packages
+ */
+function polyfillPackageDirs(names)
+{
+  const path = require('path');
+  const key = names.join(',');
+  const dirs = new Set();
+
+  if (polyfillDirsCache.has(key))
+    return polyfillDirsCache.get(key);
+
+  const pending = names.map((name) => path.join(__dirname, 'node_modules', name));
+
+  while (pending.length)
+  {
+    const dir = realpath(pending.shift());
+    let deps;
+
+    if (dirs.has(dir + '/'))
+      continue;
+    try
+    {
+      deps = Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).dependencies || {});
+    }
+    catch(error)
+    {
+      debug('ctx-module:policy')(`cannot read package.json in ${dir}: ${error.message}`);
+      continue;
+    }
+    dirs.add(dir + '/');
+
+    for (let dep of deps)
+    {
+      for (let base = dir; base.startsWith(__dirname); base = path.dirname(base))
+      {
+        const candidate = path.join(base, 'node_modules', dep);
+        if (path.basename(base) !== 'node_modules' && fs.existsSync(candidate))
+        {
+          pending.push(candidate);
+          break;
+        }
+      }
+    }
+  }
+
+  polyfillDirsCache.set(key, Array.from(dirs));
+  return polyfillDirsCache.get(key);
+}
+
+/**
+ * Wrap a context's filesystem so that the polyfills which ctx-module provides for builtin modules, and
+ * the modules they load, are still read from ctx-module's node_modules directory on disk.
+ */
+function vfsWithPolyfills(vfs)
+{
+  const pick = (filename) => isPolyfillFile(filename) ? diskFileSystem : vfs;
+
+  return {
+    stat:     (filename) => pick(filename).stat(filename),
+    readFile: (filename) => pick(filename).readFile(filename),
+    exists:   (filename) => pick(filename).exists(filename),
+    promises: {
+      stat:     (filename) => vfsPromise(pick(filename), 'stat', filename),
+      readFile: (filename) => vfsPromise(pick(filename), 'readFile', filename),
+    },
+  };
+}
+
+/**
+ * MemoryFileSystem constructor; creates a filesystem for a context which holds its files in memory, so
+ * that modules, package.json files and whole node_modules trees can be described inline. Directories
+ * are implied by the files in them.
+ *
+ * @param {object} files        object whose property names are filenames, relative to options.root or
+ *                              rooted, and whose values are the files' contents: strings, Buffers, or
+ *                              other values which are stored as JSON
+ * @param {object} options      [optional] object with the following optional properties:
+ *                 - root       the directory which relative filenames are in; default is /
+ *                 - fallback   filesystem (eg diskFileSystem) for files which are not in this one
+ */
+class MemoryFileSystem
+{
+  constructor(files, options)
+  {
+    this.root      = (options?.root || '/').replace(/\/?$/, '/');
+    this.fallback  = options?.fallback;
+    this.files     = new Map(); /* filename -> Buffer */
+    this.dirs      = new Set(['/']);
+    this.mtimeMs   = Date.now();
+
+    for (let filename in files)
+    {
+      const contents = files[filename];
+      this.writeFile(filename, typeof contents === 'string' || Buffer.isBuffer(contents) ? contents : JSON.stringify(contents));
+    }
+  }
+
+  /**
+   * Add or replace a file.
+   */
+  writeFile(filename, contents)
+  {
+    filename = require('path').posix.resolve(this.root, filename);
+    this.files.set(filename, Buffer.from(contents));
+    for (let dir = require('path').posix.dirname(filename); dir !== '/'; dir = require('path').posix.dirname(dir))
+      this.dirs.add(dir);
+  }
+
+  stat(filename)
+  {
+    const isDirectory = this.dirs.has(filename);
+
+    if (!isDirectory && !this.files.has(filename))
+    {
+      if (this.fallback)
+        return this.fallback.stat(filename);
+      throw enoentError('stat', filename);
+    }
+
+    return {
+      isDirectory: () => isDirectory,
+      isFile:      () => !isDirectory,
+      size:        isDirectory ? 0 : this.files.get(filename).length,
+      mtimeMs:     this.mtimeMs,
+    };
+  }
+
+  readFile(filename)
+  {
+    if (this.files.has(filename))
+      return this.files.get(filename);
+    if (this.fallback)
+      return this.fallback.readFile(filename);
+    throw enoentError('open', filename);
+  }
+
+  exists(filename)
+  {
+    return this.files.has(filename) || this.dirs.has(filename) || !!this.fallback?.exists(filename);
+  }
+}
+
+/**
+ * BundleFileSystem constructor; creates a filesystem for a context from a tarball, eg the output of
+ * npm pack or tar -czf, so that a pre-bundled set of modules can be loaded without touching disk. The
+ * archive may be gzipped; ustar, pax and GNU long filenames are supported.
+ *
+ * @param {Buffer} archive      the contents of the tarball
+ * @param {object} options      [optional] object with the properties for MemoryFileSystem, plus:
+ *                 - strip      number of leading path components to remove from the filenames in the
+ *                              archive, like tar --strip-components; eg 1 for npm pack's package/
+ */
+class BundleFileSystem extends MemoryFileSystem
+{
+  constructor(archive, options)
+  {
+    var longName;
+
+    super({}, options);
+    if (archive[0] === 0x1f && archive[1] === 0x8b)
+      archive = require('zlib').gunzipSync(archive);
+
+    for (let offset = 0; offset + 512 <= archive.length && archive[offset] !== 0;)
+    {
+      const header = archive.subarray(offset, offset + 512);
+      const field = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+      const size = parseInt(field(124, 12).trim() || '0', 8);
+      const type = field(156, 1) || '0';
+      const data = archive.subarray(offset + 512, offset + 512 + size);
+      const name = longName || (field(257, 5) === 'ustar' && field(345, 155) ? `${field(345, 155)}/${field(0, 100)}` : field(0, 100));
+
+      offset += 512 + Math.ceil(size / 512) * 512;
+      longName = undefined;
+      if (type === 'x') /* pax extended header: "length path=value\n" records */
+        longName = data.toString('utf-8').match(/^\d+ path=(.*)$/m)?.[1];
+      else if (type === 'L') /* GNU long filename */
+        longName = data.toString('utf-8').replace(/\0.*$/s, '');
+      else if (type === '0' || type === '7')
+      {
+        const filename = name.replace(/^\.\//, '').split('/').slice(options?.strip || 0).join('/');
+        if (filename)
+          this.writeFile(filename, data);
+      }
+    }
+  }
+}
+
+function enoentError(syscall, filename)
+{
+  const error = new Error(`ENOENT: no such file or directory, ${syscall} '${filename}'`);
+  error.code = 'ENOENT';
+  error.syscall = syscall;
+  error.path = filename;
+  return error;
+}
+
+/**
+ * Thrown by CtxHandle.statType and readPackageJson while CtxHandle.prefetch is resolving, when the answer
+ * is not cached yet; prefetch fills the cache asynchronously and tries again.
+ */
+class PrefetchMiss
+{
+  constructor(kind, filename)
+  {
+    this.kind     = kind;
+    this.filename = filename;
+  }
+}
+
+/* CompileCache used by contexts made with the compileCache option set to true */
+const defaultCompileCache = new CompileCache();
+
+/**
+ * Start or stop delivering the uncaught exceptions and unhandled rejections which come from a context to
+ * its handle. The host's process listeners are only installed while some handle has 'error' listeners.
+ *
+ * @param {CtxHandle} handle    the context's handle
+ * @param {boolean}   reporting true to start, false to stop
+ */
+function reportUncaughtErrors(handle, reporting)
+{
+  const wasReporting = errorReporters.size > 0;
+
+  if (reporting)
+    errorReporters.add(handle);
+  else
+    errorReporters.delete(handle);
+
+  if (!wasReporting && errorReporters.size)
+  {
+    process.on('uncaughtException', onUncaughtException);
+    process.on('unhandledRejection', onUnhandledRejection);
+  }
+  else if (wasReporting && !errorReporters.size)
+  {
+    process.removeListener('uncaughtException', onUncaughtException);
+    process.removeListener('unhandledRejection', onUnhandledRejection);
+  }
+}
+
+/**
+ * Return the handle, among the ones reporting errors, of the context value came from: the context whose
+ * EventEmitter listener or timer callback threw it, or else the context whose realm made it.
+ */
+function reportingContextOf(value)
+{
+  if ((typeof value !== 'object' && typeof value !== 'function') || value === null)
+    return undefined;
+  if (errorReporters.has(errorContexts.get(value)))
+    return errorContexts.get(value);
+
+  for (let handle of errorReporters)
+  {
+    const ctxObjectPrototype = vm.runInContext('Object.prototype', handle.ctx);
+    for (let proto = Object.getPrototypeOf(value); proto; proto = Object.getPrototypeOf(proto))
+    {
+      if (proto === ctxObjectPrototype)
+        return handle;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Return true if the host's process has listeners for event besides ctx-module's own listener, and the
+ * one which the domain module (loaded when contexts link the builtin modules) adds alongside any others.
+ */
+function hostListensFor(event, ownListener)
+{
+  return process.listeners(event).some((listener) => listener !== ownListener && listener.name !== 'domainUncaughtExceptionClear');
+}
+
+/**
+ * Give the host's process the uncaught exception back, when it did not come from a context which is
+ * reporting errors, as though ctx-module had not been listening: nothing happens when the host has
+ * uncaughtException listeners of its own, and otherwise the process crashes. The errors thrown by
+ * process.exit() in a context are dropped; the exit has already been delivered.
+ */
+function onUncaughtException(error, origin)
+{
+  const handle = reportingContextOf(error);
+
+  if (processExits.has(error))
+    return;
+  if (origin === 'unhandledRejection')
+  {
+    raisedRejection = { reason: error }; /* --unhandled-rejections=strict; the unhandledRejection event follows, since we listened */
+    return;
+  }
+  if (handle)
+    handle.reportError(error, origin);
+  else if (!hostListensFor('uncaughtException', onUncaughtException))
+  {
+    for (let reporter of Array.from(errorReporters))
+      reportUncaughtErrors(reporter, false);
+    process.nextTick(() => { throw error });
+  }
+}
+
+/**
+ * Deliver an unhandled rejection to the context which made the rejected promise or its reason, or else
+ * treat it like Node's default (throw) mode does, unless the host has unhandledRejection listeners: the
+ * host's uncaughtException listeners get it with origin 'unhandledRejection', and without any, the
+ * process crashes. In --unhandled-rejections=strict mode, Node has already raised it as an uncaught
+ * exception by the time this event is emitted. Rejections with the errors thrown by process.exit() in a
+ * context are dropped, like in onUncaughtException.
+ */
+function onUnhandledRejection(reason, promise)
+{
+  const handle = reportingContextOf(promise) || reportingContextOf(reason);
+  const raised = raisedRejection?.reason === reason;
+
+  raisedRejection = undefined;
+  if (processExits.has(reason))
+    return;
+  if (handle)
+    handle.reportError(reason, 'unhandledRejection');
+  else if (hostListensFor('unhandledRejection', onUnhandledRejection))
+    debug('ctx-module:error')('unhandled rejection left to the host', reason);
+  else if (!hostListensFor('uncaughtException', onUncaughtException))
+    throw reason;
+  else if (!raised)
+  {
+    process.emit('uncaughtExceptionMonitor', reason, 'unhandledRejection');
+    process.emit('uncaughtException', reason, 'unhandledRejection');
+    raisedRejection = undefined; /* onUncaughtException saw that too */
+  }
+}
+
+/**
+ * CtxHandle constructor; creates the outer context's handle on a context. The handle holds the
+ * context's settings and implements the APIs used to manipulate the context from the outside; it
+ * is never reachable by code running in the context.
+ *
+ * @param {object} ctx          the context
+ * @param {object} options      [optional] the options passed to makeNodeProgramContext
+ */
+class CtxHandle extends EventEmitter
+{
+  constructor(ctx, options, moduleCache)
+  {
+    super();
+    this.ctx          = ctx;
+    this.moduleCache  = moduleCache;
+    this.conditions   = options?.conditions || (options?.globalPreset === 'browser-like' ? browserConditions : defaultConditions);
+    this.transforms   = options?.transforms || [];
+    this.sourceMaps   = new Map();
+    this.mocks        = [];
+    this.dependencies = new Map(); /* filename -> Set of filenames (or cache keys) it required */
+    this.name         = options?.contextName;
+    this.scriptPrefix = options?.inspector ? `ctx://${encodeURIComponent(this.name)}` : undefined; /* see scriptUrl */
+    this.breakpoints  = new Set(); /* filenames of modules to pause in when they are loaded */
+    this.coverage     = undefined; /* ContextCoverage, while startCoverage() is collecting */
+    this.trackUsage   = false; /* enabled by makeNodeProgramContext once the context is set up */
+    this.required     = new Set();
+    this.used         = new Set();
+    this.usageProxies = new WeakMap();
+    this.watchers     = new Map(); /* filename -> fs.FSWatcher */
+    this.changed      = new Set();
+    this.policy       = options?.policy;
+    this.injected     = new Set(Object.keys(options?.modules || {}));
+    this.polyfillDirs = [];        /* real directories, with trailing slashes, of the packages behind allowed polyfills */
+    this.enforcing    = false;     /* policy is enforced once makeNodeProgramContext is done with setup */
+    this.process      = undefined; /* the context's private process object, see makeProcessFacade */
+    this.timers       = new Map(); /* pending timer or immediate -> { type, delay, callback, stack } */
+    this.resolution   = options?.resolutionCache === false ? undefined : {
+      resolved:    new Map(), /* requiring directory, conditions, search path and identifier -> filename */
+      stat:        new Map(), /* filename -> 'file', 'dir' or false */
+      packageJson: new Map(), /* directory -> parsed package.json or undefined */
+      packageScope: new Map(), /* directory -> { path, pkg } of the package.json governing it, or undefined */
+    };
+    this.membranes    = undefined; /* realm global -> membrane wrap function, see CtxModule.shared */
+    this.modulePrototype = Object.create(CtxModule.prototype); /* Module.prototype in ctx */
+    this.moduleConstructor = function ContextModule() {}; /* new.target for CtxModules in ctx */
+    this.moduleConstructor.prototype = this.modulePrototype;
+    this.Module       = undefined; /* the context's Module, once the module module is made */
+    this.extensions   = undefined; /* the context's require.extensions, aka Module._extensions */
+    this.vfs          = options?.vfs ? vfsWithPolyfills(options.vfs) : diskFileSystem;
+    this.bundle       = typeof options?.bundle === 'string' ? JSON.parse(fs.readFileSync(options.bundle, 'utf-8')) : options?.bundle;
+    this.prefetched   = new Map(); /* filename -> source code read by prefetch() and not yet loaded */
+    this.sources      = new Map(); /* filename -> source code of loaded modules and package.json files, for snapshot() */
+    this.prefetching  = false;     /* true while prefetch() is resolving; cache misses throw PrefetchMiss */
+    this.output       = options?.console ? new ContextOutput(options.console, this.name) : undefined;
+    this.profiler     = options?.profile === true ? new LoadProfiler() : options?.profile || undefined;
+    this.compileCache = options?.compileCache === true ? defaultCompileCache : options?.compileCache || undefined;
+    if (this.compileCache && !(this.compileCache instanceof CompileCache))
+      this.compileCache = new CompileCache(this.compileCache);
+
+    if (this.bundle)
+    {
+      if (this.bundle.ctxModuleBundle !== 1)
+      {
+        const error = new Error(`not a ctx-module bundle: ${typeof options.bundle === 'string' ? options.bundle : 'bundle object'}`);
+        error.code = 'ERR_CTX_BUNDLE_INVALID';
+        throw error;
+      }
+      this.vfs = vfsWithPolyfills(new MemoryFileSystem(this.bundle.files, { fallback: options.vfs }));
+      for (let key in this.bundle.resolved)
+        this.resolution?.resolved.set(key, this.bundle.resolved[key]);
+    }
+    if (this.policy?.roots)
+      this.policy = Object.assign({}, this.policy, { roots: this.policy.roots.map((root) => realpath(root).replace(/\/?$/, '/')) });
+
+    this.on('newListener', (event) => event === 'error' && reportUncaughtErrors(this, true));
+    this.on('removeListener', (event) => event === 'error' && !this.listenerCount('error') && reportUncaughtErrors(this, false));
+  }
+
+  /**
+   * Deliver an error thrown by a callback which entered the context from the host's event loop, eg a
+   * timer callback, as an 'error' event with the error and its origin, when the handle has 'error'
+   * listeners. The error's contextName property says which context it came from.
+   *
+   * @param {any}    error    the error
+   * @param {string} origin   where the error came from, eg 'timeout', 'interval' or 'immediate'
+   * @returns true if the error was delivered; otherwise the caller should throw it
+   */
+  reportError(error, origin)
+  {
+    if ((typeof error === 'object' || typeof error === 'function') && error !== null)
+    {
+      if (!errorContexts.has(error))
+        errorContexts.set(error, this);
+      if (this.name && Object.isExtensible(error) && !('contextName' in error))
+        error.contextName = this.name;
+    }
+
+    if (!this.listenerCount('error'))
+      return false;
+    this.emit('error', error, origin);
+    return true;
+  }
+
+  /**
+   * Return true if the context's policy allows the named builtin module. Modules injected with the
+   * modules option of makeNodeProgramContext are always allowed.
+   */
+  builtinAllowed(name)
+  {
+    return !this.policy?.builtins || this.policy.builtins.includes(name) || this.injected.has(name);
+  }
+
+  /**
+   * Return true if filename is really in the package of a polyfill for an allowed builtin module, or of
+   * one of the packages it depends on.
+   */
+  inPolyfillPackage(filename)
+  {
+    const realFilename = realpath(filename);
+    return this.polyfillDirs.some((dir) => realFilename.startsWith(dir));
+  }
+
+  /**
+   * Throw if moduleIdentifier names a builtin module which the context's policy does not allow. Polyfills
+   * may name builtins which are not allowed, because those are not linked into the context: they resolve
+   * to packages on disk, which checkFile() then holds to the policy like any other file.
+   */
+  checkBuiltin(moduleIdentifier, importer)
+  {
+    const name = moduleIdentifier.replace(/^node:/, '');
+
+    if (!this.enforcing || !builtinModules.includes(name) || this.builtinAllowed(name))
+      return;
+    if (typeof this.moduleCache[name] === 'object' || !importer || !this.inPolyfillPackage(importer))
+      throw accessDeniedError(`builtin module '${name}' is not allowed`, 'builtin', name, importer);
+  }
+
+  /**
+   * Throw if the context's policy does not allow loading the module in filename. Files in the packages of
+   * the polyfills for allowed builtin modules are allowed; which module loads a file makes no difference,
+   * since code in the context can call any module's require.
+   *
+   * @param {string} filename   the module's filename
+   * @param {string} importer   [optional] the filename of the module which is loading it, for the error
+   *                            message only
+   */
+  checkFile(filename, importer)
+  {
+    if (!this.enforcing || !this.policy || !isFileModule({ filename }) || this.inPolyfillPackage(filename))
+      return;
+
+    if (this.policy.addons === false && filename.endsWith('.node'))
+      throw accessDeniedError('native addons are not allowed', 'addon', filename, importer);
+    if (this.policy.roots)
+    {
+      const realFilename = realpath(filename);
+      if (!this.policy.roots.some((root) => realFilename.startsWith(root)))
+        throw accessDeniedError(`${filename} is outside of the allowed filesystem roots`, 'fs', filename, importer);
+    }
+  }
+
+  /**
+   * Record that one module required or imported another.
+   */
+  addDependency(importer, filename)
+  {
+    if (!importer)
+      return;
+    if (!this.dependencies.has(importer))
+      this.dependencies.set(importer, new Set());
+    this.dependencies.get(importer).add(filename);
+  }
+
+  /**
+   * Record that a module's exports were used.
+   */
+  markUsed(filename)
+  {
+    if (!this.trackUsage)
+      return;
+    this.required.add(filename);
+    this.used.add(filename);
+  }
+
+  /**
+   * When tracking usage, wrap a module's exports in a Proxy which records the first time the exports
+   * are touched; otherwise, return the exports as-is. The same Proxy is returned for every require, but
+   * it is not the module's exports object, so require(x) !== require.cache[x].exports. Only functions
+   * and plain objects are wrapped: objects with internal slots or private fields, like Maps and class
+   * instances, stop working through a Proxy, so requiring one of those counts as using it.
+   */
+  trackExports(filename, exports)
+  {
+    if (this.trackUsage)
+      this.required.add(filename);
+    if (!this.trackUsage || this.used.has(filename) || !(typeof exports === 'function' || isPlainObject(exports)))
+    {
+      this.markUsed(filename);
+      return exports;
+    }
+
+    if (!this.usageProxies.has(exports))
+    {
+      const handler = {};
+      for (let trap of Object.getOwnPropertyNames(Reflect))
+      {
+        handler[trap] = (...args) => {
+          this.used.add(filename);
+          return Reflect[trap](...args);
+        };
+      }
+      this.usageProxies.set(exports, new Proxy(exports, handler));
+    }
+
+    return this.usageProxies.get(exports);
+  }
+
+  /**
+   * Return the context's module dependency graph: every module loaded from a file plus every module
+   * which was required or imported, and an edge for each module which required or imported another.
+   *
+   * @param {string} format     [optional] 'json' for a JSON string, 'dot' for a Graphviz DOT string;
+   *                            otherwise, the graph is returned as an object with nodes and edges
+   *                            properties
+   */
+  graph(format)
+  {
+    const nodes = new Map();
+    const edges = [];
+    const addNode = (id) => {
+      const module = this.moduleCache[id];
+      if (nodes.has(id))
+        return;
+      nodes.set(id, {
+        id,
+        type: module?.esm ? 'esm' : !isFileModule(module) ? (id === this.ctx.module?.filename ? 'main' : 'builtin') : /\.json$/.test(id) ? 'json' : /\.node$/.test(id) ? 'addon' : 'commonjs',
+        loaded: !!module?.loaded || !!module?.esm,
+      });
+    };
+
+    for (let id in this.moduleCache)
+    {
+      if (isFileModule(this.moduleCache[id]))
+        addNode(id);
+    }
+    for (let [importer, dependencies] of this.dependencies)
+    {
+      addNode(importer);
+      for (let dependency of dependencies)
+      {
+        addNode(dependency);
+        edges.push({ from: importer, to: dependency });
+      }
+    }
+
+    const graph = { nodes: Array.from(nodes.values()), edges };
+    switch (format)
+    {
+      case 'json':
+        return JSON.stringify(graph, null, 2);
+      case 'dot':
+        return `digraph ${JSON.stringify(this.name || 'ctx-module')} {\n`
+          + graph.nodes.map((node) => `  ${JSON.stringify(node.id)} [type=${JSON.stringify(node.type)}];\n`).join('')
+          + graph.edges.map((edge) => `  ${JSON.stringify(edge.from)} -> ${JSON.stringify(edge.to)};\n`).join('')
+          + '}\n';
+      default:
+        return graph;
+    }
+  }
+
+  /**
+   * Find the circular dependencies in the context's module graph.
+   *
+   * @returns an array of cycles; each cycle is an array of the filenames (or cache keys) of the modules
+   *          which depend on each other, directly or indirectly.
+   */
+  cycles()
+  {
+    const cycles = [];
+    const stack = [];
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    var counter = 0;
+
+    /* Tarjan's strongly connected components algorithm */
+    const strongConnect = (id) => {
+      index.set(id, counter);
+      lowLink.set(id, counter++);
+      stack.push(id);
+      onStack.add(id);
+
+      for (let dependency of this.dependencies.get(id) || [])
+      {
+        if (!index.has(dependency))
+        {
+          strongConnect(dependency);
+          lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(dependency)));
+        }
+        else if (onStack.has(dependency))
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(dependency)));
+      }
+
+      if (lowLink.get(id) === index.get(id))
+      {
+        const component = [];
+        let member;
+        do
+        {
+          member = stack.pop();
+          onStack.delete(member);
+          component.unshift(member);
+        } while (member !== id);
+
+        if (component.length > 1 || this.dependencies.get(id)?.has(id))
+          cycles.push(component);
+      }
+    };
+
+    for (let id of this.dependencies.keys())
+    {
+      if (!index.has(id))
+        strongConnect(id);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Find the modules which were required but whose exports were never used. Needs the trackUsage
+   * option; modules required while the context was being set up are not considered.
+   *
+   * @returns an array of filenames (or cache keys)
+   */
+  unused()
+  {
+    if (!this.trackUsage)
+      throw new Error('unused() needs a context made with the trackUsage option');
+
+    return Array.from(this.required).filter((filename) => !this.used.has(filename));
+  }
+
+  /**
+   * Return the filenames of the modules which required or imported a module.
+   */
+  dependentsOf(filename)
+  {
+    const dependents = [];
+
+    for (let [importer, dependencies] of this.dependencies)
+    {
+      if (dependencies.has(filename))
+        dependents.push(importer);
+    }
+
+    return dependents;
+  }
+
+  /**
+   * Return the type of a file, remembering the answer in the context's stat cache.
+   *
+   * @returns 'file', 'dir' or false if the file does not exist
+   */
+  statType(filename)
+  {
+    var type = false;
+
+    if (this.resolution?.stat.has(filename))
+      return this.resolution.stat.get(filename);
+    if (this.prefetching)
+      throw new PrefetchMiss('stat', filename);
+
+    if (this.vfs.exists(filename))
+      type = this.vfs.stat(filename).isDirectory() ? 'dir' : 'file';
+    this.resolution?.stat.set(filename, type);
+    return type;
+  }
+
+  /**
+   * Read and parse the package.json in the given directory, remembering the answer in the context's
+   * package.json cache.
+   *
+   * @returns the parsed package.json, or undefined if there is none
+   */
+  readPackageJson(path)
+  {
+    const cache = this.resolution?.packageJson;
+
+    if (cache?.has(path))
+      return cache.get(path);
+    if (this.prefetching)
+      throw new PrefetchMiss('packageJson', path);
+
+    const filename = `${path}/package.json`;
+    let pkg;
+    if (this.statType(filename))
+    {
+      try
+      {
+        const source = this.vfs.readFile(filename).toString('utf-8');
+        pkg = JSON.parse(source);
+        this.sources.set(filename, source);
+      }
+      catch(error)
+      {
+        const invalid = new Error(`invalid package config ${filename}: ${error.message}`);
+        invalid.code = 'ERR_INVALID_PACKAGE_CONFIG';
+        invalid.path = filename;
+        throw invalid;
+      }
+    }
+    cache?.set(path, pkg);
+    return pkg;
+  }
+
+  /**
+   * Add loaders to the context's require.extensions (aka Module._extensions), replacing any loader for the
+   * same extension in this context only. A loader is called as loader(module, filename) and must set
+   * module.exports, either directly or by calling module._compile(javascriptSource, filename). Files with
+   * these extensions are also found by extensionless module identifiers, eg require('./config') finds
+   * config.yaml once there is a .yaml loader.
+   *
+   * @param {object} extensions   object whose property names are extensions, eg '.yaml', and whose values
+   *                              are loaders, or objects with the following properties:
+   *                 - loader     the loader
+   *                 - packages   array of the package names and rooted directories the loader is used
+   *                              for; other files with the extension are loaded by the loader which
+   *                              was there before, or by the .js loader
+   */
+  addExtensions(extensions)
+  {
+    if (!extensions)
+      return;
+
+    for (let ext in extensions)
+    {
+      const spec = extensions[ext];
+
+      if (typeof spec === 'function')
+        this.extensions[ext] = spec;
+      else
+        this.extensions[ext] = scopedLoader(spec.loader, spec.packages, this.extensions[ext] || this.extensions['.js']);
+    }
+    this.clearResolutionCache(); /* extensionless identifiers may now resolve differently */
+  }
+
+  /**
+   * Forget everything in the context's resolution, stat and package.json caches. This must be called
+   * when files which the context may have looked at are created, removed, renamed or (for package.json
+   * files) changed; invalidate() does this.
+   */
+  clearResolutionCache()
+  {
+    if (!this.resolution)
+      return;
+    this.resolution.resolved.clear();
+    this.resolution.stat.clear();
+    this.resolution.packageJson.clear();
+    this.resolution.packageScope.clear();
+  }
+
+  /**
+   * Load a module asynchronously: the module and the modules it requires are located and read in
+   * parallel with fs.promises, then the module is required (evaluated in the same order, with the same
+   * semantics, as synchronous require). Useful for preloading contexts without blocking the event loop.
+   *
+   * @param {string} moduleIdentifier   the module to load
+   * @param {object} options            [optional] object with the following optional properties:
+   *                 - from             filename that relative module identifiers are relative to;
+   *                                    default is the context's main module
+   * @returns a Promise which resolves to the module's exports
+   */
+  async loadAsync(moduleIdentifier, options)
+  {
+    const fromRequire = this.requireFrom(options?.from);
+    const prefetched = await this.prefetch(fromRequire, moduleIdentifier);
+
+    try
+    {
+      return fromRequire(moduleIdentifier);
+    }
+    finally
+    {
+      this.forgetPrefetched(prefetched);
+    }
+  }
+
+  /**
+   * Locate and read a module and, recursively and in parallel, the modules it requires or imports with
+   * string literal module identifiers, so that loading them later does not block on the filesystem.
+   * Errors are ignored here; loading the module reports them.
+   *
+   * @param {function} fromRequire        the require function of the requiring module
+   * @param {string}   moduleIdentifier   the module to prefetch
+   * @param {Set}      seen               [optional] filenames which are already being prefetched
+   * @returns a Promise which resolves to the Set of filenames that were prefetched
+   */
+  async prefetch(fromRequire, moduleIdentifier, seen)
+  {
+    seen = seen || new Set();
+
+    const filename = await this.resolveAsync(fromRequire, moduleIdentifier);
+    if (!filename || filename[0] !== '/' || seen.has(filename) || this.moduleCache.hasOwnProperty(filename))
+      return seen; /* not found, builtin, or already on its way */
+    seen.add(filename);
+
+    if (!/\.(c?js|mjs|json)$/.test(filename))
+      return seen;
+    try
+    {
+      this.prefetched.set(filename, (await vfsPromise(this.vfs, 'readFile', filename)).toString('utf-8'));
+    }
+    catch(error)
+    {
+      return seen;
+    }
+
+    if (!filename.endsWith('.json'))
+    {
+      await this.fillCaches(() => { /* the package scope, which tells CommonJS from ESM; see findPackageScope */
+        const path = require('path');
+        for (let dir = path.dirname(filename); !dir.endsWith('/node_modules') && !this.readPackageJson(dir) && dir !== '/'; dir = path.dirname(dir))
+          ;
+      });
+
+      const dependencyRequire = this.requireFrom(filename);
+      const dependencies = new Set();
+      for (let match of this.prefetched.get(filename).matchAll(/\b(?:require\s*\(\s*|import\s*\(\s*|from\s*|import\s+)(['"])([^'"\n]+)\1/g))
+        dependencies.add(match[2]);
+      await Promise.all(Array.from(dependencies).map((dependency) => this.prefetch(dependencyRequire, dependency, seen)));
+    }
+
+    return seen;
+  }
+
+  /**
+   * Resolve a module identifier with the synchronous resolver, filling the stat and package.json caches
+   * asynchronously whenever the resolver needs something which is not cached yet.
+   *
+   * @returns a Promise which resolves to the filename, or undefined if the module cannot be resolved
+   */
+  resolveAsync(fromRequire, moduleIdentifier)
+  {
+    return this.fillCaches(() => this.resolveQuietly(fromRequire, moduleIdentifier));
+  }
+
+  /**
+   * Run fn, which uses the stat and package.json caches, until it runs without needing anything which is
+   * not cached; each time it does, the missing information is read asynchronously.
+   *
+   * @returns a Promise which resolves to fn's return value
+   */
+  async fillCaches(fn)
+  {
+    if (!this.resolution)
+      return fn(); /* no caches to fill */
+
+    for (;;)
+    {
+      let miss;
+
+      this.prefetching = true;
+      try
+      {
+        return fn();
+      }
+      catch(error)
+      {
+        if (!(error instanceof PrefetchMiss))
+          throw error;
+        miss = error;
+      }
+      finally
+      {
+        this.prefetching = false;
+      }
+
+      const filename = miss.kind === 'packageJson' ? `${miss.filename}/package.json` : miss.filename;
+      let type = false;
+      let pkg;
+      try
+      {
+        if (miss.kind === 'packageJson')
+        {
+          const source = (await vfsPromise(this.vfs, 'readFile', filename)).toString('utf-8');
+          pkg = JSON.parse(source);
+          this.sources.set(filename, source);
+        }
+        type = miss.kind === 'packageJson' || !(await vfsPromise(this.vfs, 'stat', filename)).isDirectory() ? 'file' : 'dir';
+      }
+      catch(error)
+      {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+          return undefined; /* let the synchronous code report it */
+      }
+      this.resolution.stat.set(filename, type);
+      if (miss.kind === 'packageJson')
+        this.resolution.packageJson.set(miss.filename, pkg);
+    }
+  }
+
+  resolveQuietly(fromRequire, moduleIdentifier)
+  {
+    try
+    {
+      return fromRequire.resolve(moduleIdentifier);
+    }
+    catch(error)
+    {
+      if (error instanceof PrefetchMiss)
+        throw error;
+      return undefined;
+    }
+  }
+
+  /**
+   * Return the source code of a module file, using the copy read by prefetch() if there is one. The
+   * context's policy is checked here as well as during resolution, so that loaders called directly,
+   * eg require('module')._extensions['.js'](module, filename), cannot read files it does not allow.
+   *
+   * @param {string} filename   the module's filename
+   * @param {string} importer   [optional] the filename of the module which is loading it; only used in
+   *                            the error message, since it can be forged by code in the context
+   */
+  readSource(filename, importer)
+  {
+    const source = this.prefetched.get(filename);
+
+    this.checkFile(filename, importer);
+
+    if (typeof source === 'undefined')
+    {
+      const read = () => this.vfs.readFile(filename).toString('utf-8');
+      this.sources.set(filename, this.profiler ? this.profiler.time('read', filename, read) : read());
+    }
+    else
+    {
+      this.prefetched.delete(filename);
+      this.sources.set(filename, source);
+    }
+    return this.sources.get(filename);
+  }
+
+  /**
+   * Forget prefetched source code which was not loaded, eg modules required from branches which
+   * were not taken, so that it cannot go stale.
+   */
+  forgetPrefetched(filenames)
+  {
+    for (let filename of filenames)
+      this.prefetched.delete(filename);
+  }
+
+  /**
+   * Capture the modules loaded in the context: the source code of every module loaded from a file and of
+   * the package.json files consulted to locate them, as they were when they were read, plus the context's
+   * resolution map when it has one. A context made with the bundle option can load the same modules without
+   * the original files. Native addons, WebAssembly modules and the polyfills which ctx-module provides for
+   * builtin modules are not included.
+   *
+   * @returns the bundle, a JSON-compatible object
+   */
+  snapshot()
+  {
+    const bundle = { ctxModuleBundle: 1, files: {}, resolved: {} };
+
+    for (let [filename, source] of this.sources)
+    {
+      if (isPolyfillFile(filename))
+        continue;
+      if (filename.endsWith('/package.json') || isFileModule(this.moduleCache[filename]))
+        bundle.files[filename] = source;
+    }
+    for (let [key, filename] of this.resolution?.resolved || [])
+    {
+      if (!isPolyfillFile(filename))
+        bundle.resolved[key] = filename;
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Write snapshot() to a bundle file, as JSON.
+   */
+  saveBundle(filename)
+  {
+    fs.writeFileSync(filename, JSON.stringify(this.snapshot()));
+  }
+
+  /**
+   * Remove a module from the context's module cache, so that it is loaded from disk again the next
+   * time it is required or imported. Modules which already hold the old exports keep them. Emits an
+   * 'invalidate' event with the array of invalidated filenames.
+   *
+   * @param {string} moduleIdentifier   the filename or module identifier of the module
+   * @param {object} options            [optional] object with the following optional properties:
+   *                 - dependents       true to also invalidate every module which required or imported
+   *                                    this one, recursively
+   *                 - from             filename that relative module identifiers are relative to;
+   *                                    default is the context's main module
+   * @returns the array of invalidated filenames, the module itself first
+   */
+  invalidate(moduleIdentifier, options)
+  {
+    const invalidated = [];
+    const pending = [this.moduleCache.hasOwnProperty(moduleIdentifier) ? moduleIdentifier : this.requireFrom(options?.from).resolve(moduleIdentifier)];
+
+    while (pending.length)
+    {
+      const filename = pending.shift();
+      const module = this.moduleCache[filename];
+
+      if (invalidated.includes(filename) || !isFileModule(module))
+        continue; /* already done, not loaded, or not loaded from a file */
+
+      debug('ctx-module:invalidate')('invalidate', filename);
+      delete this.moduleCache[filename];
+      this.sources.delete(filename);
+      this.dependencies.delete(filename);
+      this.sourceMaps.delete(filename);
+      invalidated.push(filename);
+      if (options?.dependents)
+        pending.push(...this.dependentsOf(filename));
+    }
+
+    this.clearResolutionCache();
+    this.emit('invalidate', invalidated);
+    return invalidated;
+  }
+
+  /**
+   * Watch the files of the modules loaded in the context, and modules loaded later, with fs.watch.
+   * When a file changes, the module and its dependents are invalidated and then loaded again,
+   * emitting a 'reload' event with { filename, exports } for each module, or a 'reloadError' event
+   * with an Error that has a filename property when loading fails.
+   *
+   * @param {object} options    [optional] object with the following optional properties:
+   *                 - filter     function which receives a filename and returns true if it should be
+   *                              watched; default is to watch files which are not in node_modules
+   *                 - debounce   number of milliseconds to wait for more changes; default is 50
+   *                 - persistent true if the watchers should keep the process alive; default is false
+   * @returns this
+   */
+  watch(options)
+  {
+    this.watchOptions = Object.assign({
+      filter:     (filename) => !filename.includes('/node_modules/'),
+      debounce:   50,
+      persistent: false,
+    }, options);
+
+    for (let id in this.moduleCache)
+    {
+      if (isFileModule(this.moduleCache[id]))
+        this.watchFile(this.moduleCache[id].filename);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop watching module files.
+   */
+  unwatch()
+  {
+    for (let watcher of this.watchers.values())
+      watcher.close();
+    this.watchers.clear();
+    this.changed.clear();
+    clearTimeout(this.changeTimer);
+    delete this.watchOptions;
+  }
+
+  watchFile(filename)
+  {
+    if (!this.watchOptions || this.watchers.has(filename) || !this.watchOptions.filter(filename) || !fs.existsSync(filename))
+      return; /* not watching, or not on disk (eg virtual filesystem) */
+
+    const watcher = fs.watch(filename, { persistent: this.watchOptions.persistent }, () => {
+      this.changed.add(filename);
+      clearTimeout(this.changeTimer);
+      this.changeTimer = setTimeout(() => this.reloadChanged(), this.watchOptions.debounce);
+      if (!this.watchOptions.persistent)
+        this.changeTimer.unref();
+    });
+    watcher.on('error', () => this.unwatchFile(filename)); /* eg file was deleted */
+    this.watchers.set(filename, watcher);
+  }
+
+  unwatchFile(filename)
+  {
+    if (this.watchers.has(filename))
+      this.watchers.get(filename).close();
+    this.watchers.delete(filename);
+  }
+
+  /**
+   * Invalidate the modules whose files changed, plus their dependents, and load them again. Changed
+   * modules are loaded before their dependents so that the dependents see the new exports.
+   */
+  async reloadChanged()
+  {
+    const invalidated = [];
+
+    for (let filename of this.changed)
+    {
+      try
+      {
+        for (let invalidatedFilename of this.invalidate(filename, { dependents: true }))
+        {
+          if (!invalidated.includes(invalidatedFilename))
+            invalidated.push(invalidatedFilename);
+        }
+      }
+      catch(error)
+      {
+        error.filename = filename;
+        this.emit('reloadError', error);
+      }
+    }
+    this.changed.clear();
+
+    for (let filename of invalidated)
+    {
+      this.unwatchFile(filename); /* editors often replace files, so watch the new one */
+      try
+      {
+        let exports;
+        try
+        {
+          exports = this.ctx.require(filename);
+        }
+        catch(error)
+        {
+          if (error.code !== 'ERR_REQUIRE_ESM')
+            throw error;
+          exports = await this.ctx.module.import(filename);
+        }
+        this.emit('reload', { filename, exports });
+      }
+      catch(error)
+      {
+        error.filename = filename;
+        this.watchFile(filename); /* keep watching so that fixing the file reloads it */
+        this.emit('reloadError', error);
+      }
+    }
+  }
+
+  /**
+   * Return the URL which a module's script is compiled under, so that debuggers, profilers and stack
+   * traces can tell which context it belongs to. For contexts made with the inspector option, and for
+   * modules compiled while coverage is being collected, this is ctx://contextName/path/to/file.js;
+   * otherwise it is the module's filename. V8 reuses compiled scripts with the same source and URL
+   * across contexts, so coverage needs URLs of its own to keep contexts' counts apart.
+   */
+  scriptUrl(filename)
+  {
+    const scriptPrefix = this.scriptPrefix || this.coverage?.scriptPrefix;
+
+    if (!scriptPrefix || !/^(\/|[a-zA-Z]:\/)/.test(filename))
+      return filename;
+    return `${scriptPrefix}${filename[0] === '/' ? '' : '/'}${filename}`;
+  }
+
+  /**
+   * Make an attached debugger pause at the start of a CommonJS module the next time it is loaded in the
+   * context. A debugger statement is added to the module's wrapper function, so this has no effect
+   * when no debugger is attached.
+   *
+   * @param {string} moduleIdentifier   the module identifier
+   * @param {object} options            [optional] object with an optional from property: the filename
+   *                                    which relative identifiers are relative to; the default is the
+   *                                    context's main module
+   * @returns a function which removes the breakpoint
+   */
+  breakOnLoad(moduleIdentifier, options)
+  {
+    const filename = this.requireFrom(options?.from).resolve(moduleIdentifier);
+
+    this.breakpoints.add(filename);
+    return () => this.breakpoints.delete(filename);
+  }
+
+  /**
+   * Start collecting V8 precise coverage, with call counts and block coverage, of the modules which the
+   * context compiles from now on; see stopCoverage. Coverage is collected through an inspector session
+   * shared by every context which is collecting it. Scripts are told apart by URL, so modules compiled
+   * while coverage is being collected get ctx:// URLs, as with the inspector option; see scriptUrl.
+   *
+   * @returns a Promise which resolves when collection has started
+   */
+  async startCoverage()
+  {
+    if (!coverageSession)
+    {
+      const session = new (require('inspector').Session)();
+
+      session.connect();
+      coverageSession = {
+        session,
+        ready: inspectorPost(session, 'Profiler.enable')
+          .then(() => inspectorPost(session, 'Profiler.startPreciseCoverage', { callCount: true, detailed: true })),
+      };
+    }
+
+    if (!this.coverage)
+      this.coverage = new ContextCoverage(this.scriptPrefix || `ctx://${encodeURIComponent(this.name || `context-${++unnamedInspectedContexts}`)}`);
+    coverageCollectors.add(this);
+    await coverageSession.ready;
+  }
+
+  /**
+   * Stop collecting coverage. V8's counters are reset when coverage is taken, so the counts are also
+   * given to the other contexts which are collecting coverage.
+   *
+   * @returns a Promise which resolves to a ContextCoverage, which can be saved as istanbul JSON and lcov
+   */
+  async stopCoverage()
+  {
+    const coverage = this.coverage;
+
+    if (!coverage)
+    {
+      const error = new Error('coverage is not being collected for this context');
+      error.code = 'ERR_CTX_COVERAGE_NOT_STARTED';
+      throw error;
+    }
+
+    const { session, ready } = coverageSession;
+    await ready;
+    const { result } = await inspectorPost(session, 'Profiler.takePreciseCoverage');
+    for (let handle of coverageCollectors)
+      handle.coverage.addResult(result);
+
+    coverageCollectors.delete(this);
+    this.coverage = undefined;
+    if (!coverageCollectors.size && coverageSession?.session === session)
+    {
+      coverageSession = undefined;
+      await inspectorPost(session, 'Profiler.stopPreciseCoverage');
+      session.disconnect();
+    }
+
+    return coverage;
+  }
+
+  /**
+   * Evaluate code in the context, like vm.runInContext; WorkerContext has the same method, so code which
+   * awaits the result works with both kinds of context.
+   */
+  runInContext(code, options)
+  {
+    return vm.runInContext(code, this.ctx, options);
+  }
+
+  /**
+   * Tear down the context: clear every timer, interval and immediate which code in the context started
+   * and which is still pending, stop watching files, and empty the module cache. Emits 'dispose' with
+   * the report.
+   *
+   * @returns an array describing the work which was still outstanding, one { type, delay, callback,
+   *          stack } object per timer, where type is 'timeout', 'interval' or 'immediate', callback is
+   *          the callback's name and stack is where it was started.
+   */
+  dispose()
+  {
+    const outstanding = Array.from(this.timers.values());
+
+    for (let [timer, { type }] of this.timers)
+    {
+      if (type === 'immediate')
+        clearImmediate(timer);
+      else
+        clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.unwatch();
+    for (let id in this.moduleCache)
+      delete this.moduleCache[id];
+    this.sources.clear();
+    this.process?.removeAllListeners();
+    reportUncaughtErrors(this, false);
+
+    this.emit('dispose', outstanding);
+    return outstanding;
+  }
+
+  /**
+   * Create the timer functions for the context. They are the host's timer functions, except that
+   * pending timers and immediates are tracked so that dispose() can report and clear them, and
+   * exceptions thrown by their callbacks go to reportError(). The timers behind util.promisify(setTimeout)
+   * and util.promisify(setImmediate) are tracked too.
+   */
+  timerGlobals()
+  {
+    const that = this;
+    const timers = this.timers;
+
+    function track(type, start, callback, delay, args, caller)
+    {
+      if (typeof callback !== 'function')
+        return start(callback, delay, ...args); /* let node throw ERR_INVALID_ARG_TYPE */
+
+      const where = {};
+      const record = {
+        type,
+        delay,
+        callback: callback.name || '(anonymous)',
+        get stack() { return where.stack.replace(/^.*\n/, '') }, /* drop the "Error" line */
+      };
+      const timer = start(function ctxTimerCallback() {
+        if (type !== 'interval')
+          timers.delete(timer);
+        try
+        {
+          return callback.apply(timer, arguments);
+        }
+        catch(error)
+        {
+          if (processExits.has(error)) /* the context has exited; do not take the host down with it */
+          {
+            if (type === 'interval')
+              untrack(globalThis.clearInterval, timer);
+            return;
+          }
+          if (!that.reportError(error, type))
+            throw error;
+        }
+      }, delay, ...args);
+
+      Error.captureStackTrace(where, caller); /* formatting the frames waits until the report is read */
+      timers.set(timer, record);
+      return timer;
+    }
+
+    function untrack(clear, timer)
+    {
+      clear(timer);
+      if (typeof timer === 'object')
+        timers.delete(timer);
+      else
+      {
+        for (let pending of timers.keys()) /* cleared by primitive timer id */
+        {
+          if (pending[Symbol.toPrimitive]?.() === timer)
+            timers.delete(pending);
+        }
+      }
+    }
+
+    /* the error which the host's timers/promises rejects with when its signal is aborted */
+    function abortError(signal)
+    {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      error.code = 'ABORT_ERR';
+      error.cause = signal.reason;
+      return error;
+    }
+
+    /* util.promisify.custom for setTimeout and setImmediate, like the host's timers/promises, but tracked */
+    function promisified(type, start, delay, value, options, caller)
+    {
+      const signal = options?.signal;
+
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted)
+        {
+          reject(abortError(signal));
+          return;
+        }
+
+        const timer = track(type, start, function resolveTimer() {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(value);
+        }, delay, [], caller);
+        function onAbort()
+        {
+          untrack(type === 'immediate' ? globalThis.clearImmediate : globalThis.clearTimeout, timer);
+          reject(abortError(signal));
+        }
+
+        if (options?.ref === false)
+          timer.unref();
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    const setTimeout_   = function setTimeout(callback, delay, ...args)  { return track('timeout', globalThis.setTimeout, callback, delay, args, setTimeout) };
+    const setImmediate_ = function setImmediate(callback, ...args)      { return track('immediate', (cb, _delay, ...rest) => globalThis.setImmediate(cb, ...rest), callback, undefined, args, setImmediate) };
+
+    setTimeout_[util.promisify.custom] = function setTimeoutPromise(delay, value, options) {
+      return promisified('timeout', globalThis.setTimeout, delay, value, options, setTimeoutPromise);
+    };
+    setImmediate_[util.promisify.custom] = function setImmediatePromise(value, options) {
+      return promisified('immediate', (cb, _delay) => globalThis.setImmediate(cb), undefined, value, options, setImmediatePromise);
+    };
+
+    return {
+      setTimeout:     setTimeout_,
+      setInterval:    function setInterval(callback, delay, ...args) { return track('interval', globalThis.setInterval, callback, delay, args, setInterval) },
+      setImmediate:   setImmediate_,
+      clearTimeout:   function clearTimeout(timer)   { untrack(globalThis.clearTimeout, timer) },
+      clearInterval:  function clearInterval(timer)  { untrack(globalThis.clearInterval, timer) },
+      clearImmediate: function clearImmediate(timer) { untrack(globalThis.clearImmediate, timer) },
+    };
+  }
+
+  /**
+   * Replace a module with a mock for code running in the context. Mocks take effect the next time the
+   * module is required or imported; modules which already hold the real exports keep them.
+   *
+   * @param {string} moduleIdentifier   the module to mock, eg 'net', 'dcp-client' or './lib/db'.
+   *                                    Search-path identifiers which cannot be resolved are mocked
+   *                                    as virtual modules.
+   * @param {any}    mock               the mock's exports, which the context sees as-is rather than as
+   *                                    a copy, or a factory function when options.factory
+   *                                    is true. The factory is invoked once, the first time the mock is
+   *                                    needed, as factory(actual); actual() returns the real module's
+   *                                    exports, which makes partial mocks easy.
+   * @param {object} options            [optional] object with the following optional properties:
+   *                 - factory          true when mock is a factory function
+   *                 - from             filename that relative module identifiers are relative to;
+   *                                    default is the context's main module
+   *                 - importers        array of module identifiers of the only modules which see the
+   *                                    mock, or a function which receives a module's filename and
+   *                                    returns true if that module should see the mock
+   * @returns a function which removes the mock
+   */
+  mock(moduleIdentifier, mock, options)
+  {
+    const fromRequire = this.requireFrom(options?.from);
+    const record = {
+      key:       this.mockKey(fromRequire, moduleIdentifier),
+      module:    options?.factory ? undefined : mockedModule(this.ctx, mock),
+      factory:   options?.factory ? mock : undefined,
+      importers: options?.importers,
+    };
+
+    if (Array.isArray(record.importers))
+    {
+      const importers = record.importers.map((importer) => fromRequire.resolve(importer));
+      record.importers = (filename) => importers.includes(filename);
+    }
+
+    debug('ctx-module:mock')('mock', record.key);
+    this.mocks.unshift(record); /* newest mock wins */
+    return () => {
+      this.mocks = this.mocks.filter((candidate) => candidate !== record);
+    };
+  }
+
+  /**
+   * Remove all of the mocks for a module.
+   *
+   * @param {string} moduleIdentifier   the module identifier used to create the mocks
+   * @param {object} options            [optional] object with an optional from property; see mock()
+   */
+  unmock(moduleIdentifier, options)
+  {
+    const key = this.mockKey(this.requireFrom(options?.from), moduleIdentifier);
+    this.mocks = this.mocks.filter((record) => record.key !== key);
+  }
+
+  /**
+   * Remove every mock in the context.
+   */
+  restoreMocks()
+  {
+    this.mocks = [];
+  }
+
+  /**
+   * Find the mock, if any, which replaces a module for a given importer.
+   *
+   * @param {string} filename   the resolved filename (or cache key) of the module being loaded
+   * @param {string} importer   the filename of the module which is loading it
+   */
+  mockFor(filename, importer)
+  {
+    return this.mocks.find((record) => record.key === filename && (!record.importers || record.importers(importer)));
+  }
+
+  requireFrom(filename)
+  {
+    return filename ? new CtxModule(this.ctx, filename, this.moduleCache).require : this.ctx.require;
+  }
+
+  mockKey(fromRequire, moduleIdentifier)
+  {
+    try
+    {
+      return fromRequire.resolve(moduleIdentifier);
+    }
+    catch(error)
+    {
+      if (error.code !== 'MODULE_NOT_FOUND' || /^\.\.?(\/|$)/.test(moduleIdentifier) || moduleIdentifier[0] === '/')
+        throw error;
+      return moduleIdentifier;
+    }
+  }
+}
+
+/**
+ * WorkerContext constructor; creates a context, with makeNodeProgramContext, in a worker_threads Worker
+ * running ctx-module, so that it has its own event loop and heap. Code in a worker context which loops
+ * forever, runs out of memory or crashes takes down only its worker. The outer context talks to it with
+ * messages, so every method returns a Promise.
+ *
+ * Values which come back from the worker are copies, made with the structured clone algorithm, except
+ * that functions, including methods on the prototype chains of objects, become functions which call the
+ * original in the worker (with the original's owner as this) and return a Promise of the result.
+ * Arguments to those functions are structured-cloned, so they cannot be functions. The worker holds on to
+ * each function until its copy in the outer context has been garbage collected.
+ *
+ * The handle stands in for its own CtxHandle, ie contextHandle(workerContext) is workerContext, but it only
+ * has runInContext, require, loadAsync, terminate and dispose, the name, exited, exitCode and error
+ * properties, and the 'error' and 'exit' events. The rest of the CtxHandle API, eg mock, snapshot,
+ * profiler, output and startCoverage, is not available from outside the worker.
+ *
+ * @param {object} options            options for makeNodeProgramContext, which must be structured-cloneable;
+ *                                    options.worker is either true, or options for the Worker, eg
+ *                                    resourceLimits, stdout, stderr
+ */
+class WorkerContext extends EventEmitter
+{
+  constructor(options)
+  {
+    const { Worker } = require('worker_threads');
+    const workerData = {
+      ctxModuleWorker: true,
+      options: Object.assign({}, options, {
+        worker:       undefined,
+        mainFilename: options.mainFilename || require.main?.filename,
+        process:      Object.assign({ argv: process.argv.slice() }, options.process),
+      }),
+    };
+
+    super();
+    this.name     = options.contextName;
+    this.pending  = new Map(); /* message id -> { resolve, reject } */
+    this.nextId   = 1;
+    this.exited   = false;
+    this.exitCode = undefined;
+    this.error    = undefined; /* the error which killed the worker */
+    this.released = new FinalizationRegistry((ref) => this.release(ref)); /* copies of functions -> their refs */
+
+    try
+    {
+      this.worker = new Worker(__filename, Object.assign({}, options.worker === true ? {} : options.worker, { workerData }));
+    }
+    catch(error)
+    {
+      if (error.name !== 'DataCloneError')
+        throw error;
+      const cloneError = new Error(`options for a worker context must be structured-cloneable -- ${error.message}`);
+      cloneError.code = 'ERR_CTX_WORKER_OPTIONS';
+      throw cloneError;
+    }
+
+    this.worker.unref(); /* the worker only keeps the process alive while it is answering a request */
+    this.worker.on('message', (message) => this.settle(message));
+    this.worker.on('error', (error) => {
+      this.error = error;
+      if (this.listenerCount('error'))
+        this.emit('error', error);
+    });
+    this.worker.on('exit', (exitCode) => {
+      this.exited = true;
+      this.exitCode = exitCode;
+      for (let { reject } of this.pending.values())
+        reject(this.error || workerTerminatedError());
+      this.pending.clear();
+      this.emit('exit', exitCode);
+    });
+  }
+
+  /**
+   * Evaluate code in the context, in the worker.
+   *
+   * @param {string} code       the code to evaluate
+   * @param {object} options    [optional] object with an optional filename property, like vm.runInContext
+   * @returns a Promise which resolves to the value of the code, after waiting for it if it is a Promise
+   */
+  runInContext(code, options)
+  {
+    return this.send({ op: 'runInContext', code, filename: options?.filename });
+  }
+
+  /**
+   * Require a module in the context, in the worker, relative to the context's main module.
+   *
+   * @returns a Promise which resolves to the module's exports
+   */
+  require(moduleIdentifier)
+  {
+    return this.send({ op: 'require', moduleIdentifier });
+  }
+
+  /**
+   * Like CtxHandle.loadAsync, in the worker.
+   */
+  loadAsync(moduleIdentifier, options)
+  {
+    return this.send({ op: 'loadAsync', moduleIdentifier, options });
+  }
+
+  /**
+   * Stop the worker, no matter what the code in it is doing. Requests which have not been answered are
+   * rejected with ERR_CTX_WORKER_TERMINATED.
+   *
+   * @returns a Promise which resolves to the worker's exit code
+   */
+  terminate()
+  {
+    return this.worker.terminate();
+  }
+
+  /**
+   * Same as terminate(), so that worker contexts can be torn down like other contexts.
+   */
+  dispose()
+  {
+    return this.terminate();
+  }
+
+  /**
+   * Send a request to the worker.
+   *
+   * @returns a Promise which settles when the worker answers
+   */
+  send(message)
+  {
+    const id = this.nextId++;
+
+    if (this.exited)
+      return Promise.reject(this.error || workerTerminatedError());
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.ref();
+      try
+      {
+        this.worker.postMessage(Object.assign({ id }, message));
+      }
+      catch(error)
+      {
+        this.pending.delete(id);
+        if (!this.pending.size)
+          this.worker.unref();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Tell the worker that the copy of the function it knows as ref has been garbage collected, so that it
+   * can forget the function. This is not a request, so there is no answer.
+   */
+  release(ref)
+  {
+    if (!this.exited)
+      this.worker.postMessage({ op: 'release', ref });
+  }
+
+  /**
+   * Settle the Promise for a request which the worker has answered.
+   */
+  settle(message)
+  {
+    const request = this.pending.get(message.id);
+
+    if (!request)
+      return;
+    this.pending.delete(message.id);
+    if (!this.pending.size)
+      this.worker.unref();
+
+    if (message.error)
+      request.reject(Object.assign(new Error(message.error.message), message.error));
+    else
+      request.resolve(mirrorRemote(message.result, (ref, args) => this.send({ op: 'call', ref, args }), this.released));
+  }
+}
+
+function workerTerminatedError()
+{
+  const error = new Error('worker context has been terminated');
+  error.code = 'ERR_CTX_WORKER_TERMINATED';
+  return error;
+}
+
+/**
+ * Describe a value in a worker context so that it can be posted to the outer context, where
+ * mirrorRemote() makes a copy of it. Functions are remembered, so that they can be called later.
+ *
+ * @param {*}        value      the value
+ * @param {function} remember   function which remembers a function and its owner: remember(fn, owner);
+ *                              returns the ref which the outer context uses to call the function
+ * @param {object}   owner      [optional] the object value is a property of
+ * @param {Map}      seen       [optional] objects which have been described -> their indices, for cycles
+ */
+function describeRemote(value, remember, owner, seen = new Map())
+{
+  if (typeof value === 'symbol')
+    return { type: 'value', value: value.toString() };
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function'))
+    return { type: 'value', value };
+  if (seen.has(value))
+    return { type: 'seen', index: seen.get(value) };
+  if (ArrayBuffer.isView(value) || /^\[object (Date|RegExp|ArrayBuffer|Map|Set|Error)\]$/.test(Object.prototype.toString.call(value)))
+    return { type: 'value', value }; /* structured clone knows how to copy these */
+
+  const description = {
+    type:  typeof value === 'function' ? 'function' : Array.isArray(value) ? 'array' : 'object',
+    index: seen.size,
+    props: {},
+  };
+  seen.set(value, description.index);
+  if (description.type === 'function')
+  {
+    description.ref = remember(value, owner);
+    description.name = value.name;
+  }
+
+  const keys = new Set(Object.keys(value));
+  if (description.type === 'object') /* methods, eg of class instances */
+  {
+    for (let proto = Object.getPrototypeOf(value); proto && Object.getPrototypeOf(proto); proto = Object.getPrototypeOf(proto))
+    {
+      for (let key of Object.getOwnPropertyNames(proto))
+      {
+        if (key !== 'constructor' && typeof Object.getOwnPropertyDescriptor(proto, key).value === 'function')
+          keys.add(key);
+      }
+    }
+  }
+  for (let key of keys)
+    description.props[key] = describeRemote(value[key], remember, value, seen);
+
+  return description;
+}
+
+/**
+ * Make a copy of a value described by describeRemote() in a worker context.
+ *
+ * @param {object}   description  the description
+ * @param {function} call         function which calls a function in the worker: call(ref, args)
+ * @param {object}   released     [optional] FinalizationRegistry which each copy of a function is
+ *                                registered with, holding its ref
+ * @param {Array}    seen         [optional] the copies made so far, by index, for cycles
+ */
+function mirrorRemote(description, call, released, seen = [])
+{
+  var mirror;
+
+  if (description.type === 'value')
+    return description.value;
+  if (description.type === 'seen')
+    return seen[description.index];
+
+  if (description.type === 'function')
+  {
+    mirror = { [description.name]: (...args) => call(description.ref, args) }[description.name];
+    released?.register(mirror, description.ref);
+  }
+  else
+    mirror = description.type === 'array' ? [] : {};
+  seen[description.index] = mirror;
+
+  for (let key in description.props)
+  {
+    Object.defineProperty(mirror, key, {
+      value:        mirrorRemote(description.props[key], call, released, seen),
+      writable:     true,
+      enumerable:   true,
+      configurable: true,
+    });
+  }
+
+  return mirror;
+}
+
+/**
+ * Run the context of a WorkerContext; this is what ctx-module does when it is the script of a worker
+ * made by WorkerContext. Requests from the outer context are answered with describeRemote() descriptions
+ * of their results, or with descriptions of the errors they threw. Functions in those results are kept
+ * until the outer context releases them.
+ */
+function serveWorkerContext(parentPort, workerData)
+{
+  const ctx = exports.makeNodeProgramContext(workerData.options);
+  const refs = new Map(); /* ref -> { fn, owner } */
+  var nextRef = 1;
+
+  function remember(fn, owner)
+  {
+    refs.set(nextRef, { fn, owner });
+    return nextRef++;
+  }
+
+  async function answer(message)
+  {
+    var result;
+
+    switch (message.op)
+    {
+      case 'runInContext':
+        result = vm.runInContext(message.code, ctx, { filename: message.filename });
+        break;
+      case 'require':
+        result = ctx.require(message.moduleIdentifier);
+        break;
+      case 'loadAsync':
+        result = contextHandle(ctx).loadAsync(message.moduleIdentifier, message.options);
+        break;
+      case 'call':
+        result = refs.get(message.ref).fn.apply(refs.get(message.ref).owner, message.args);
+        break;
+      default:
+        throw new Error(`unknown worker context request ${message.op}`);
+    }
+
+    return describeRemote(await result, remember);
+  }
+
+  parentPort.on('message', (message) => {
+    if (message.op === 'release')
+    {
+      refs.delete(message.ref);
+      return;
+    }
+    answer(message)
+      .then((result) => parentPort.postMessage({ id: message.id, result }))
+      .catch((error) => {
+        const isObject = error !== null && typeof error === 'object';
+        const description = {
+          name:    isObject ? error.name : 'Error',
+          message: isObject ? error.message : String(error),
+          code:    isObject ? error.code : undefined,
+          stack:   isObject ? error.stack : undefined,
+        };
+        parentPort.postMessage({ id: message.id, error: description });
+      });
+  });
+}
+
+function accessDeniedError(reason, permission, resource, importer)
+{
+  const error = new Error(`access denied -- ${reason} by the context's policy (required from ${importer})`);
+  error.code = 'ERR_ACCESS_DENIED';
+  error.permission = permission;
+  error.resource = resource;
+  return error;
+}
+
+function realpath(filename)
+{
+  try
+  {
+    return fs.realpathSync(filename).replace(/\\/g, '/');
+  }
+  catch(error)
+  {
+    return filename;
+  }
+}
+
+/**
+ * Make a require.extensions loader which uses loader for files in the given packages and fallback for
+ * other files. A file is in a package when it is under the named package's directory in its innermost
+ * node_modules directory, or under a rooted directory in packages.
+ */
+function scopedLoader(loader, packages, fallback)
+{
+  function inScope(filename)
+  {
+    const match = filename.match(/.*\/node_modules\/((?:@[^/]+\/)?[^/]+)\//);
+
+    return packages.some((pkg) => /^(\/|[a-zA-Z]:\/)/.test(pkg)
+      ? filename.startsWith(pkg.replace(/\/?$/, '/'))
+      : match?.[1] === pkg);
+  }
+
+  return function ctxScopedLoader(module, filename)
+  {
+    return (inScope(filename) ? loader : fallback)(module, filename);
+  }
+}
+
+/**
+ * Return true if a moduleCache entry is a module which was loaded from a file, as opposed to a string
+ * or a module like 'module' or 'fs' which was made in memory.
+ */
+function isFileModule(module)
+{
+  return typeof module === 'object' && typeof module.filename === 'string' && /^(\/|[a-zA-Z]:\/)/.test(module.filename);
+}
+
+/**
+ * Return the CtxHandle for ctx; contexts which were not made by makeNodeProgramContext get a handle
+ * with the default settings.
+ *
+ * @param {object} ctx    the context
+ */
+function contextHandle(ctx)
+{
+  if (ctx instanceof WorkerContext)
+    return ctx;
+  if (!ctxHandles.has(ctx))
+    ctxHandles.set(ctx, new CtxHandle(ctx));
+  return ctxHandles.get(ctx);
+}
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode a version 3 source map into a list of lines, each of which is a list of segments of the form
+ * [generatedColumn, sourceIndex, originalLine, originalColumn], sorted by generatedColumn; all
+ * numbers are zero-based.
+ *
+ * @param {object|string} map     the source map, or its JSON representation
+ */
+function decodeSourceMap(map)
+{
+  var sourceIndex = 0, originalLine = 0, originalColumn = 0;
+  const lines = [];
+
+  if (typeof map === 'string')
+    map = JSON.parse(map);
+
+  for (let line of map.mappings.split(';'))
+  {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (let segment of line.split(','))
+    {
+      if (!segment)
+        continue;
+      const fields = decodeVLQ(segment);
+      generatedColumn += fields[0];
+      if (fields.length < 4)
+        continue;
+      sourceIndex    += fields[1];
+      originalLine   += fields[2];
+      originalColumn += fields[3];
+      segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+    }
+    lines.push(segments);
+  }
+
+  return {
+    sources: (map.sources || []).map((source) => (map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '') + source),
+    lines,
+  };
+}
+
+function decodeVLQ(segment)
+{
+  const values = [];
+  var value = 0, shift = 0;
 
-    if (fs.existsSync(filename = `${filenameBase}/package.json`))
+  for (let ch of segment)
+  {
+    const digit = BASE64_DIGITS.indexOf(ch);
+    value += (digit & 31) << shift;
+    if (digit & 32)
+      shift += 5;
+    else
     {
-      const pkg = JSON.parse(fs.readFileSync(filename, 'utf-8'));
-      return locateModuleFile(relativeResolve(filenameBase, pkg.main || 'index.js'));
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = shift = 0;
     }
+  }
 
-    try
+  return values;
+}
+
+/**
+ * Extract the source map from a sourceMappingURL data: URL comment, if there is one.
+ */
+function inlineSourceMap(code)
+{
+  const match = code.match(/\/\/[#@] sourceMappingURL=data:application\/json[^,]*;base64,([A-Za-z0-9+/=]+)\s*$/m);
+  return match ? Buffer.from(match[1], 'base64').toString('utf-8') : undefined;
+}
+
+/**
+ * Map a zero-based line and column in generated code back through a list of decoded source maps.
+ *
+ * @returns an object with source, line and column properties, or undefined if the position is not mapped
+ */
+function originalPosition(maps, line, column)
+{
+  var position = { line, column };
+
+  for (let map of maps)
+  {
+    const segments = map.lines[position.line] || [];
+    let found;
+
+    for (let segment of segments)
     {
-      const sb = fs.statSync(filenameBase); /* no throw => either filenameBase is a module file or its directory */
+      if (segment[0] > position.column)
+        break;
+      found = segment;
+    }
+    if (!found)
+      return undefined;
+    position = { source: map.sources[found[1]], line: found[2], column: found[3] };
+  }
+
+  return position;
+}
+
+/**
+ * Error.prepareStackTrace for contexts with source maps: formats the stack like V8 does, but with
+ * positions in transformed modules replaced by positions in their original source.
+ */
+function mapStackTrace(sourceMaps, error, callSites)
+{
+  var header;
+
+  try
+  {
+    header = Error.prototype.toString.call(error);
+  }
+  catch(e)
+  {
+    header = '<error>';
+  }
+
+  const frames = callSites.map((callSite) => {
+    const frame = String(callSite);
+    const filename = callSite.getFileName();
+    const maps = filename && sourceMaps.get(scriptUrlFilename(filename));
+    /* Line numbers already include the lineOffset of a stripped shebang, which was still line 1 of the transformed code */
+    const position = maps && originalPosition(maps, callSite.getLineNumber() - 1, callSite.getColumnNumber() - 1);
+
+    if (!position)
+      return frame;
+    const prefix = position.source[0] === '/' ? filename.slice(0, filename.length - scriptUrlFilename(filename).length) : '';
+    return frame.replace(`${filename}:${callSite.getLineNumber()}:${callSite.getColumnNumber()}`,
+                         `${prefix}${position.source}:${position.line + 1}:${position.column + 1}`);
+  });
+
+  return [header].concat(frames).join('\n    at ');
+}
+
+/**
+ * Return the filename of a module, given the URL its script was compiled under; see CtxHandle.scriptUrl.
+ */
+function scriptUrlFilename(scriptFilename)
+{
+  return scriptFilename.startsWith('ctx://') ? scriptFilename.replace(/^ctx:\/\/[^/]*(\/(?=[a-zA-Z]:\/))?/, '') : scriptFilename;
+}
+
+/**
+ * Make a code frame for a SyntaxError thrown while compiling a module, eg
+ *
+ *     2 | let a = 1;
+ *   > 3 | let b = ;
+ *       |         ^
+ *     4 | module.exports = a;
+ *
+ * Node decorates the stack of these errors with the line number and the offending line of the wrapped
+ * code; the column is corrected for the wrapper prologue on the first line.
+ *
+ * @param {Error}  error           the SyntaxError
+ * @param {string} source          the module's source code
+ * @param {string} filename        the filename the code was compiled under
+ * @param {number} lineOffset      the lineOffset the code was compiled with
+ * @param {number} prologueLength  the length of the wrapper code before the module's first line
+ * @returns the code frame, or undefined if the error does not say where it happened
+ */
+function syntaxErrorFrame(error, source, filename, lineOffset, prologueLength)
+{
+  var stack;
+
+  try
+  {
+    stack = String(error.stack).split('\n');
+  }
+  catch(e)
+  {
+    return undefined;
+  }
+
+  const lineNumber = stack[0].startsWith(filename + ':') && Number(stack[0].slice(filename.length + 1));
+  if (!lineNumber)
+    return undefined;
+
+  const lines = source.split(/\r?\n/);
+  const column = /^ *\^/.test(stack[2] || '') ? stack[2].indexOf('^') - (lineNumber === lineOffset + 1 ? prologueLength : 0) : -1;
+  const first = Math.max(1, lineNumber - 2);
+  const last = Math.min(lines.length, lineNumber + 2);
+  const width = String(last).length;
+  const frame = [];
+
+  for (let i = first; i <= last; i++)
+  {
+    frame.push(`${i === lineNumber ? '>' : ' '} ${String(i).padStart(width)} | ${lines[i - 1]}`);
+    if (i === lineNumber && column >= 0)
+      frame.push(`  ${' '.repeat(width)} | ${' '.repeat(column)}^`);
+  }
+
+  return frame.join('\n');
+}
+
+/**
+ * Return the export conditions used to resolve import specifiers in ctx: the same as the conditions
+ * used for require, except that "import" replaces "require".
+ */
+function importConditions(ctx)
+{
+  return contextHandle(ctx).conditions.map((condition) => condition === 'require' ? 'import' : condition);
+}
+
+/**
+ * Return true if value is an object whose prototype is Object.prototype, from any realm, or null.
+ */
+function isPlainObject(value)
+{
+  if (value === null || typeof value !== 'object')
+    return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+}
 
-      if (sb.mode & fs.constants.S_IFDIR)
+/**
+ * Create a vm.SyntheticModule which lets ESMs import a CommonJS module. The default export is
+ * module.exports, and each of its own enumerable properties is also a named export.
+ */
+function syntheticModuleFor(ctx, module, identifier)
+{
+  if (!syntheticModules.has(module))
+  {
+    const exports = Object(module.exports);
+    const exportNames = Object.keys(exports).filter((name) => name !== 'default');
+    const synthetic = new vm.SyntheticModule(['default'].concat(exportNames), function ctxSyntheticEvaluate() {
+      synthetic.setExport('default', module.exports);
+      for (let name of exportNames)
+        synthetic.setExport(name, exports[name]);
+    }, { context: ctx, identifier });
+
+    syntheticModules.set(module, synthetic);
+  }
+
+  return syntheticModules.get(module);
+}
+
+/**
+ * Create a context-private process object. It inherits from the host's process object, but has its own
+ * env, argv, cwd, exitCode and event listeners, so that changes made in one context do not leak into
+ * other contexts or the host. process.exit() runs the context's exit listeners, emits 'exit' on the
+ * context's handle, and then throws an error with code ERR_CTX_PROCESS_EXIT instead of exiting. When
+ * that error escapes a timer callback, or reaches the host's uncaughtException or unhandledRejection
+ * events, it is dropped rather than crashing the host.
+ *
+ * The cwd is only the context's idea of the working directory: it is what process.cwd() returns and what
+ * the context's path.resolve() resolves against, but the fs module is shared with the host, so relative
+ * paths given to fs are still resolved against the host's working directory.
+ *
+ * @param {object} handle     the context's CtxHandle
+ * @param {object} options    [optional] object with optional env, argv and cwd properties; the defaults
+ *                            are copies of the host's
+ */
+function makeProcessFacade(handle, options)
+{
+  const facade = Object.create(process);
+  var cwd = options?.cwd || process.cwd();
+  var exiting = false;
+
+  EventEmitter.call(facade); /* own listeners, instead of sharing the host's */
+  Object.assign(facade, {
+    env:      Object.assign({}, options?.env || process.env),
+    argv:     (options?.argv || process.argv).slice(),
+    execArgv: process.execArgv.slice(),
+    cwd:      function cwd_() { return cwd; },
+    chdir:    function chdir(directory) {
+      const newCwd = require('path').resolve(cwd, directory);
+      if (!fs.statSync(newCwd).isDirectory()) /* throws ENOENT like process.chdir */
       {
-        if (!filenameBase.endsWith('/index'))
-          if ((filename = locateModuleFile(`${filenameBase}/index`)))
-            return filename;
+        const error = new Error(`ENOTDIR: not a directory, chdir ${cwd} -> '${directory}'`);
+        error.code = 'ENOTDIR';
+        throw error;
       }
-      else
+      cwd = newCwd;
+    },
+    exit:     function exit(code) {
+      if (typeof code !== 'undefined')
+        facade.exitCode = code;
+      code = facade.exitCode || 0;
+      if (!exiting)
       {
-        return filenameBase;
+        exiting = true;
+        facade.emit('exit', code);
+        handle.emit('exit', code);
       }
+
+      const error = new Error(`process.exit(${code}) called in context`);
+      error.code = 'ERR_CTX_PROCESS_EXIT';
+      error.exitCode = code;
+      processExits.add(error);
+      throw error;
+    },
+  });
+  /* exitCode is an accessor on the host's process in newer versions of Node, so assigning would set the host's */
+  Object.defineProperty(facade, 'exitCode', { value: undefined, writable: true, enumerable: true, configurable: true });
+  if (handle.output) /* process.stdout and stderr are accessors on the host's process */
+  {
+    Object.defineProperty(facade, 'stdout', { value: handle.output.stdout, configurable: true, enumerable: true });
+    Object.defineProperty(facade, 'stderr', { value: handle.output.stderr, configurable: true, enumerable: true });
+  }
+
+  return facade;
+}
+
+/* Built-in classes whose prototypes membranes translate between realms */
+const membraneIntrinsics = [
+  'Object', 'Function', 'Array', 'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError',
+  'TypeError', 'URIError', 'AggregateError', 'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Date',
+  'RegExp', 'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array',
+  'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array',
+  'Float64Array', 'BigInt64Array', 'BigUint64Array', 'Buffer',
+];
+/* Membrane proxy -> the object it wraps, for every membrane */
+const membraneTargets = new WeakMap();
+
+/**
+ * Return the function which wraps values from the realm whose global object is fromGlobal for use in a
+ * context. There is one membrane per context and source realm, so that each object has one wrapper per
+ * context. Wrappers are Proxies whose targets are empty shadow objects, so that the Proxy invariants
+ * do not stop the membrane from wrapping the values of non-configurable properties like prototype.
+ */
+function membrane(handle, fromGlobal)
+{
+  var prototypes; /* fromGlobal's intrinsic prototypes -> ctx's; made lazily since ctx.Buffer comes late */
+  const wrappers = new WeakMap();
+  const callbacks = new WeakMap(); /* so that eg removeListener finds the callback addListener got */
+
+  if (!handle.membranes)
+    handle.membranes = new Map();
+  if (handle.membranes.has(fromGlobal))
+    return handle.membranes.get(fromGlobal);
+
+  const membraneKey = fromGlobal;
+  const ctxGlobal = vm.runInContext('globalThis', handle.ctx); /* the sandbox does not hold the built-ins */
+  if (vm.isContext(fromGlobal))
+    fromGlobal = vm.runInContext('globalThis', fromGlobal);
+
+  function wrap(value)
+  {
+    if ((typeof value !== 'object' && typeof value !== 'function') || value === null)
+      return value;
+    if (membraneTargets.has(value) || !isFromRealm(value))
+      return value;
+    if (wrappers.has(value))
+      return wrappers.get(value);
+
+    const shadow = typeof value === 'function' ? (function membraneShadow() {}).bind() : (Array.isArray(value) ? [] : {});
+    const proxy = new Proxy(shadow, {
+      get:            (_shadow, key) => wrap(Reflect.get(value, key, value)),
+      set:            (_shadow, key, newValue) => Reflect.set(value, key, unwrap(newValue), value),
+      has:            (_shadow, key) => Reflect.has(value, key),
+      deleteProperty: (_shadow, key) => Reflect.deleteProperty(value, key),
+      ownKeys:        () => Array.from(new Set(Reflect.ownKeys(value).concat(Reflect.ownKeys(shadow).filter((key) => !Reflect.getOwnPropertyDescriptor(shadow, key).configurable)))),
+      defineProperty: (_shadow, key, descriptor) => Reflect.defineProperty(value, key, unwrapDescriptor(descriptor)),
+      getPrototypeOf: () => translatePrototype(Reflect.getPrototypeOf(value)),
+      setPrototypeOf: () => false,
+      preventExtensions: () => false,
+      getOwnPropertyDescriptor: (_shadow, key) => {
+        const descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+        const shadowDescriptor = Reflect.getOwnPropertyDescriptor(shadow, key);
+        if (!descriptor)
+          return shadowDescriptor?.configurable === false ? shadowDescriptor : undefined;
+        for (let field of ['value', 'get', 'set'])
+        {
+          if (field in descriptor)
+            descriptor[field] = wrap(descriptor[field]);
+        }
+        descriptor.configurable = shadowDescriptor ? shadowDescriptor.configurable : true;
+        return descriptor;
+      },
+      apply: (_shadow, thisArg, args) => crossing(() => Reflect.apply(value, unwrap(thisArg), args.map(unwrapArgument))),
+      construct: (_shadow, args, newTarget) => crossing(() => Reflect.construct(value, args.map(unwrapArgument), newTarget === proxy ? value : unwrap(newTarget))),
+    });
+
+    wrappers.set(value, proxy);
+    membraneTargets.set(proxy, value);
+    return proxy;
+  }
+
+  /** Call fn, wrapping its return value or exception */
+  function crossing(fn)
+  {
+    try
+    {
+      return wrap(fn());
     }
     catch(error)
     {
-      if (error.code !== 'ENOENT')
-        throw error;
+      throw wrap(error);
     }
+  }
 
-    for (let ext in that.require.extensions)
+  function unwrap(value)
+  {
+    return membraneTargets.has(value) ? membraneTargets.get(value) : value;
+  }
+
+  /** Callbacks from the context receive wrapped arguments */
+  function unwrapArgument(value)
+  {
+    if (typeof value !== 'function' || membraneTargets.has(value))
+      return unwrap(value);
+    if (!callbacks.has(value))
+      callbacks.set(value, function membraneCallback(...args) { return value(...args.map(wrap)) });
+    return callbacks.get(value);
+  }
+
+  function unwrapDescriptor(descriptor)
+  {
+    const unwrapped = Object.assign({}, descriptor);
+    for (let field of ['value', 'get', 'set'])
     {
-      if (fs.existsSync(filename = `${filenameBase}${ext}`))
-        return filename;
+      if (field in unwrapped)
+        unwrapped[field] = unwrap(unwrapped[field]);
     }
-
-    /* module not found */
-    return false;
+    return unwrapped;
   }
 
-  /* Create the exports for the module module; it is special because it needs access to our internals. */
-  if (cnId === 'module')
+  function translatePrototype(proto)
   {
-    this.exports.builtinModules = [];
-    this.exports._nodeModulePaths = makeNodeModulesPaths;
-    
-    /* Create a _cache property which looks like Node's, and intercept mutations
-     * so that we can change moduleCache to match.
-     */
-    this.exports._cache = new Proxy(moduleCache, {
-      get (_moduleCache, moduleIdentifier) {
-        const retval = (true
-                        && typeof moduleCache.hasOwnProperty(moduleIdentifier)
-                        && typeof moduleCache[moduleIdentifier] === 'object')
-              ? moduleCache[moduleIdentifier]
-              : undefined;
-        return retval;
-      },
-      set (_moduleCache, moduleIdentifier, value) {
-        if (!(value instanceof CtxModule))
-          throw new Error('value must be an instance of CtxModule');
-        moduleCache[moduleIdentifier] = value;
-        return true;
+    if (!prototypes)
+    {
+      prototypes = new Map();
+      for (let name of membraneIntrinsics)
+      {
+        if (typeof fromGlobal[name] === 'function' && typeof ctxGlobal[name] === 'function')
+          prototypes.set(fromGlobal[name].prototype, ctxGlobal[name].prototype);
       }
-    });
+    }
+    return prototypes.has(proto) ? prototypes.get(proto) : wrap(proto);
+  }
 
-    /* Wrapper to mimic Node's Module constructor */
-    this.exports.Module = function Module(id = '', parentModule)
+  /** True if value was made in fromGlobal's realm; values from ctx pass through the membrane as-is */
+  function isFromRealm(value)
+  {
+    for (let proto = value; proto; proto = Object.getPrototypeOf(proto))
     {
-      const req = parentModule?.require || this.require;
-      const ret = new CtxModule(ctx, id, moduleCache, { require: req });
-      return ret;
+      if (proto === fromGlobal.Object.prototype)
+        return true;
+      if (proto === ctxGlobal.Object.prototype)
+        return false;
     }
-
-    this.exports.createRequire = function ctxCreateRequire(filename) {
-      const dummy = new CtxModule(ctx, filename, moduleCache);
-      return dummy.require;
-    };
-    this.exports._resolveFilename = requireResolve;
+    return true; /* null prototype */
   }
+
+  handle.membranes.set(membraneKey, wrap);
+  return wrap;
 }
 
 /**
- * Creates a new CtxModule with the given exports. We try to be smart and create a new exports object
- * so that it can be safely mutated, but when that's not possible, we use the original exports object
- * and just punch it through to the new ctx.
- *
- * Warning -- creating modules with this method runs the risk of context leakage.
+ * Create the exports for a ctx-specific path module, which resolves relative paths against the
+ * context's own process.cwd() rather than the host's.
  */
-CtxModule.from = function ctxModuleFrom(ctx, exports)
+function pathModuleExportsFactory(ctxProcess)
 {
-  const module = new CtxModule(ctx);
+  const path = require('path');
+  const exp = copyProps({}, path);
 
-  if (typeof exports !== 'object')
-    module.exports = exports; /* needed for exports which are functions */
-  else
+  exp.resolve  = function resolve(...paths) {
+    return path.resolve(ctxProcess.cwd(), ...paths);
+  };
+  exp.relative = function relative(from, to) {
+    return path.relative(exp.resolve(from), exp.resolve(to));
+  };
+
+  return exp;
+}
+
+/**
+ * Create the exports for a ctx-specific events module. Its EventEmitter inherits from the host's, except
+ * that exceptions thrown by listeners are attributed to the context on their way out of emit(), so that
+ * they go to the context's handle if nothing catches them; see CtxHandle.reportError. It is a function
+ * rather than a class so that old-style subclasses can still call EventEmitter.call(this). Every emitter
+ * made by the host's EventEmitter - streams, process, etc - is an instanceof it, too.
+ */
+function eventsModuleExportsFactory(handle)
+{
+  const events = require('events');
+  function CtxEventEmitter(options)
   {
-    if (exports.constructor !== Object)
-      module.exports = new (exports.constructor); /* magic modules like process need this */
-    copyProps(module.exports, exports);
+    events.call(this, options);
   }
 
-  return module;
+  Object.defineProperty(CtxEventEmitter, 'name', { value: 'EventEmitter' });
+  Object.setPrototypeOf(CtxEventEmitter, events); /* statics: once, on, defaultMaxListeners, etc */
+  CtxEventEmitter.prototype = Object.create(events.prototype, {
+    constructor: { value: CtxEventEmitter, writable: true, configurable: true },
+  });
+  CtxEventEmitter.prototype.emit = function emit(...args) {
+    try
+    {
+      return events.prototype.emit.apply(this, args);
+    }
+    catch(error)
+    {
+      if (((typeof error === 'object' || typeof error === 'function') && error !== null) && !errorContexts.has(error))
+        errorContexts.set(error, handle);
+      throw error;
+    }
+  };
+  /* subclasses inherit this, and must keep the ordinary behaviour */
+  Object.defineProperty(CtxEventEmitter, Symbol.hasInstance, {
+    value: function hasInstance(value) {
+      return this === CtxEventEmitter ? value instanceof events : Function.prototype[Symbol.hasInstance].call(this, value);
+    },
+  });
+  CtxEventEmitter.EventEmitter = CtxEventEmitter;
+
+  return CtxEventEmitter;
 }
 
 /**
@@ -479,6 +4486,81 @@ const defaultGlobals = {
   console:        globalThis.console,
 };
 
+/* Web platform globals which the node and browser-like global presets provide, when the host has them */
+const webGlobals = [
+  'TextEncoder', 'TextDecoder', 'AbortController', 'AbortSignal', 'EventTarget', 'Event', 'structuredClone',
+  'performance', 'crypto', 'atob', 'btoa', 'Blob', 'MessageChannel', 'MessagePort', 'BroadcastChannel',
+  'fetch', 'Headers', 'Request', 'Response', 'FormData',
+];
+/* Globals provided by each of makeNodeProgramContext's global presets, on top of defaultGlobals */
+const globalPresets = {
+  minimal:        [],
+  node:           ['process', 'Buffer', 'URL', 'URLSearchParams'].concat(webGlobals),
+  'browser-like': ['URL', 'URLSearchParams', 'window', 'self'].concat(webGlobals),
+};
+
+/**
+ * Source of the function, evaluated in a context, which makes a realm-local global from the host's value:
+ * a subclass of a class, a function which calls the membrane-wrapped function, or an object whose
+ * properties are accessors for the object's, with its methods bound to it. Properties which code in the
+ * context adds to the result, or to a class's prototype, stay in the context.
+ */
+const realmGlobalFactorySource = `(function realmGlobalFactory(value, wrapped)
+{
+  const local = {};
+  const methods = new Map();
+
+  if (typeof value === 'function' && /^[A-Z]/.test(value.name)) /* web platform interfaces, eg TextEncoder */
+    return ({ [value.name]: class extends value {} })[value.name];
+  if (typeof value === 'function')
+    return ({ [value.name]: function (...args) { return wrapped(...args) } })[value.name];
+
+  for (let proto = value; proto && Object.getPrototypeOf(proto); proto = Object.getPrototypeOf(proto))
+  {
+    for (let key of Reflect.ownKeys(proto).filter((name) => name !== 'constructor' && !local.hasOwnProperty(name)))
+    {
+      Object.defineProperty(local, key, {
+        configurable: true,
+        enumerable:   Object.getOwnPropertyDescriptor(proto, key).enumerable,
+        get: () => {
+          if (typeof value[key] !== 'function')
+            return value[key];
+          if (!methods.has(key))
+            methods.set(key, value[key].bind(value));
+          return methods.get(key);
+        },
+        set: (newValue) => Object.defineProperty(local, key, { value: newValue, writable: true, enumerable: true, configurable: true }),
+      });
+    }
+  }
+  return local;
+})`;
+
+/**
+ * Return the value of the web platform global name for a context, or undefined when the host does not
+ * have it. Globals from the host are the host's own objects; realm-local globals are made in the context
+ * around the host's, so that they are distinct from the host's and changes to them stay in the context.
+ * Realm-local functions, like structuredClone, call the host's through the context's membrane (see
+ * CtxModule.shared), so that the objects they return have the context's built-in prototypes.
+ *
+ * @param {object} handle      the context's handle
+ * @param {string} name        the name of the global
+ * @param {string} source      'host' or 'realm'
+ */
+function webGlobal(handle, name, source)
+{
+  const value = name === 'crypto' ? require('crypto').webcrypto : globalThis[name];
+
+  if (value === undefined || source === 'host')
+    return value;
+  if (source === 'realm')
+    return vm.runInContext(realmGlobalFactorySource, handle.ctx)(value, membrane(handle, globalThis)(value));
+
+  const error = new Error(`invalid source '${source}' for global ${name}; must be 'host' or 'realm'`);
+  error.code = 'ERR_CTX_GLOBAL_SOURCE';
+  throw error;
+}
+
 /**
  * Factory function which creates a fresh context suitable for running NodeJS programs. Default
  * modules such as fs, os, vm, path, process, tty, etc, are linked from the calling context.
@@ -486,60 +4568,217 @@ const defaultGlobals = {
  * @param {object} options            [optional] object with the following optional properties which
  *                                    override internal defaults:
  *                 - contextName      name of the context
+ *                 - globalPreset     which globals the context has besides timers and console: 'node' (the
+ *                                    default) adds process, Buffer, URL and web platform globals such as
+ *                                    TextEncoder, AbortController, fetch, structuredClone, performance and
+ *                                    crypto; 'browser-like' adds URL, the web platform globals, window and
+ *                                    self, and makes the default conditions ['require', 'browser'];
+ *                                    'minimal' adds nothing
+ *                 - globalSources    'host' or 'realm', or an object mapping web platform global names to
+ *                                    either; see webGlobal(). Default: 'host'
+ *                 - globals          object whose properties are copied onto the context's global object
+ *                 - console          true, or options for a ContextOutput, to give the context its own
+ *                                    console, process.stdout and process.stderr; see CtxHandle.output
+ *                 - inspector        true to compile modules under ctx://contextName/ URLs, so that the
+ *                                    inspector and stack traces show which context code belongs to; see
+ *                                    CtxHandle.scriptUrl and CtxHandle.breakOnLoad
+ *                 - worker           true, or options for worker_threads.Worker (eg resourceLimits), to
+ *                                    make the context in a Worker; the return value is then a
+ *                                    WorkerContext, and the other options must be structured-cloneable
+ *                 - mainFilename     filename of the context's main module; default is require.main's
+ *                 - conditions       array of package.json "exports" and "imports" conditions which
+ *                                    the context matches; "default" always matches, and "import"
+ *                                    replaces "require" when resolving ESM imports. Including
+ *                                    "browser" also enables the package.json "browser" field.
+ *                                    Default: ['require', 'node']
+ *                 - transforms       array of functions which transform module source code before it is
+ *                                    compiled; see transformSource()
+ *                 - extensions       object whose properties are require.extensions loaders for this context;
+ *                                    see CtxHandle.addExtensions
+ *                 - vfs              filesystem which modules are located and read from, eg a
+ *                                    MemoryFileSystem or BundleFileSystem; default is diskFileSystem
+ *                 - bundle           bundle made by CtxHandle.snapshot, or the name of a file written by
+ *                                    CtxHandle.saveBundle; modules are loaded from the bundle, falling
+ *                                    back to the vfs option when it is specified
+ *                 - resolutionCache  false to turn off the context's resolution, stat and package.json
+ *                                    caches; see CtxHandle.clearResolutionCache
+ *                 - compileCache     true to cache compiled modules in memory, shared by every context
+ *                                    made with this option; a CompileCache to use; or options for a
+ *                                    new CompileCache, eg { directory } to also cache on disk
+ *                 - profile          true to record how long each module takes to resolve, read, compile
+ *                                    and execute, or a LoadProfiler to record into; see CtxHandle.profiler
+ *                 - process          object with optional env, argv and cwd properties for the context's
+ *                                    private process object; the defaults are copies of the host's
+ *                 - policy           object which restricts what the module system will load, with the
+ *                                    following optional properties; violations throw ERR_ACCESS_DENIED:
+ *                                    - builtins: array of the builtin modules which may be required
+ *                                    - roots:    array of the directories modules may be loaded from
+ *                                    - addons:   false to forbid loading native (.node) addons
+ *                 - trackUsage       true to record which modules' exports are used, so that
+ *                                    CtxHandle.unused() works. Required exports which are functions or
+ *                                    plain objects are wrapped in a Proxy; see CtxHandle.trackExports().
  *                 - modules          an object used to prepopulate moduleCache so we can inject modules
  *                                    from the outer context. Each property name is either the canonical
  *                                    module identifier (usually a rooted pathname) or a search-path
  *                                    module identifier (eg "path"). Each property must be either a 
- *                                    string containing the module's filename, or an object
- *                                    containing the module's exports.
+ *                                    string containing the module's filename, an object
+ *                                    containing the module's exports (which is copied), or a
+ *                                    declaration made by CtxModule.shared or CtxModule.isolated.
  */
 exports.makeNodeProgramContext = function makeNodeProgramContext(options)
 {
+  if (options?.worker)
+    return new WorkerContext(options);
+
+  const presetGlobals = globalPresets[options?.globalPreset || 'node'];
+  if (!presetGlobals)
+  {
+    const error = new Error(`unknown global preset '${options.globalPreset}'; must be one of ${Object.keys(globalPresets).join(', ')}`);
+    error.code = 'ERR_CTX_GLOBAL_PRESET';
+    throw error;
+  }
+
+  const contextName = options?.contextName || (options?.inspector ? `context-${++unnamedInspectedContexts}` : undefined);
   const ctx = vm.createContext({}, {
-    name: options?.contextName,
+    name:   contextName,
+    origin: options?.inspector ? `ctx://${encodeURIComponent(contextName)}` : undefined,
   });
   const myPackage = require('./package.json');
   const moduleCache = {};
+
+  const handle = new CtxHandle(ctx, Object.assign({}, options, { contextName }), moduleCache);
+
+  ctxHandles.set(ctx, handle);
+  if (handle.transforms.length)
+    vm.runInContext('Error', ctx).prepareStackTrace = (error, callSites) => mapStackTrace(handle.sourceMaps, error, callSites);
   
   moduleCache.vm = CtxModule.from(ctx, vmModuleExportsFactory(ctx));
   moduleCache.module = new CtxModule(ctx, 'module', moduleCache); /* ctor magic knows how to make exports */
   
+  const isolatedFactories = {};
   for (let id in options?.modules)
   {
-    if (typeof options.modules[id] === 'string')
-      moduleCache[id] = options.modules[id];
+    const declaration = options.modules[id];
+
+    if (typeof declaration === 'string')
+      moduleCache[id] = declaration;
+    else if (declaration instanceof ModuleDeclaration && declaration.mode === 'shared')
+    {
+      moduleCache[id] = new CtxModule(ctx);
+      moduleCache[id].exports = membrane(handle, declaration.options?.from || globalThis)(declaration.value);
+    }
+    else if (declaration instanceof ModuleDeclaration && typeof declaration.value === 'string')
+      moduleCache[id] = declaration.value; /* isolated: loaded in ctx, like a filename */
+    else if (declaration instanceof ModuleDeclaration)
+      isolatedFactories[id] = declaration.value; /* isolated: made once ctx.require works */
     else
-      moduleCache[id] = CtxModule.from(ctx, options.modules[id]);
+      moduleCache[id] = CtxModule.from(ctx, declaration);
   }
 
-  Object.assign(ctx, defaultGlobals, options?.globals);
-  ctx.module         = new CtxModule(ctx, require.main.filename, moduleCache);
+  if (!moduleCache.process && handle.builtinAllowed('process'))
+  {
+    moduleCache.process = new CtxModule(ctx);
+    moduleCache.process.exports = handle.process = makeProcessFacade(handle, options?.process);
+  }
+  if (!moduleCache.path && handle.builtinAllowed('path'))
+    moduleCache.path = CtxModule.from(ctx, pathModuleExportsFactory(handle.process || process));
+  if (!moduleCache.events && handle.builtinAllowed('events'))
+    moduleCache.events = CtxModule.from(ctx, eventsModuleExportsFactory(handle));
+
+  const timerGlobals = handle.timerGlobals();
+  Object.assign(ctx, defaultGlobals, timerGlobals, options?.globals);
+  if (handle.output && !options?.globals?.hasOwnProperty('console'))
+    ctx.console = handle.output.console;
+  if (handle.output && !moduleCache.console && handle.builtinAllowed('console'))
+  {
+    moduleCache.console = new CtxModule(ctx);
+    moduleCache.console.exports = handle.output.console;
+  }
+  if (!moduleCache.timers && handle.builtinAllowed('timers'))
+    moduleCache.timers = CtxModule.from(ctx, Object.assign(copyProps({}, require('timers')), timerGlobals));
+  ctx.module         = new CtxModule(ctx, options?.mainFilename || require.main.filename, moduleCache);
   ctx.global         = ctx;
   ctx.require        = ctx.module.require;
   ctx.require.main   = ctx.module;
+  handle.addExtensions(options?.extensions);
+  if (handle.process)
+    handle.process.mainModule = ctx.module;
 
   const localRequire = ctx.require('module').createRequire(__filename);
+  const polyfillPackages = [];
   
   /* Load all of the built-in node modules from the "real" context into this context, unless it is
    * listed as a direct dependency of ctx-module, in which case we prepare to load the polyfill package 
    * from disk into the new context.
    */
-  require('module').builtinModules.filter(cnId => /^[a-z]/.test(cnId)).forEach((cnId) => {
-    if (!moduleCache[cnId] && cnId !== 'sys')
+  builtinModules.filter(cnId => /^[a-z]/.test(cnId)).forEach((cnId) => {
+    if (!moduleCache[cnId] && cnId !== 'sys' && handle.builtinAllowed(cnId))
     {
       if (myPackage.dependencies[cnId])
+      {
         moduleCache[cnId] = localRequire.resolve(cnId);
+        polyfillPackages.push(cnId);
+      }
       else if (myPackage.dependencies[`${cnId}-browserify`])
+      {
         moduleCache[cnId] = localRequire.resolve(`${cnId}-browserify`);
+        polyfillPackages.push(`${cnId}-browserify`);
+      }
       else
-        moduleCache[cnId] = CtxModule.from(ctx, require(cnId));
+      {
+        try
+        {
+          moduleCache[cnId] = CtxModule.from(ctx, require(cnId));
+        }
+        catch(error) /* eg trace_events, which is unavailable in worker threads */
+        {
+          debug('ctx-module:builtin')(`cannot provide builtin module ${cnId}: ${error.message}`);
+        }
+      }
     }
   });
 
-  ctx.process         = ctx.require('process');
-  ctx.Buffer          = ctx.require('buffer').Buffer;
-  ctx.URL             = ctx.require('url').URL;
-  ctx.URLSearchParams = ctx.require('url').URLSearchParams;
+  if (presetGlobals.includes('process') && handle.builtinAllowed('process'))
+    ctx.process       = ctx.require('process');
+  if (presetGlobals.includes('Buffer') && handle.builtinAllowed('buffer'))
+    ctx.Buffer        = ctx.require('buffer').Buffer;
+  if (presetGlobals.includes('URL') && handle.builtinAllowed('url'))
+  {
+    ctx.URL             = ctx.require('url').URL;
+    ctx.URLSearchParams = ctx.require('url').URLSearchParams;
+  }
+  for (let name of webGlobals)
+  {
+    const sources = options?.globalSources;
+    const source = (typeof sources === 'string' ? sources : sources?.[name]) || 'host';
+
+    if (!presetGlobals.includes(name) || (name === 'crypto' && !handle.builtinAllowed('crypto')))
+      continue;
+    if (options?.globals?.hasOwnProperty(name))
+      continue; /* the globals option wins */
+
+    const value = webGlobal(handle, name, source);
+    if (value !== undefined)
+      ctx[name] = value;
+  }
+  if (presetGlobals.includes('window'))
+    ctx.window = ctx.self = ctx;
+  for (let id in isolatedFactories)
+  {
+    moduleCache[id] = new CtxModule(ctx);
+    moduleCache[id].exports = isolatedFactories[id](ctx.require);
+  }
+
+  handle.polyfillDirs = polyfillPackageDirs(polyfillPackages);
+  handle.trackUsage   = !!options?.trackUsage;
+  handle.enforcing    = true;
+
+  /* vm and module were made before the policy was consulted, because we need them for setup */
+  for (let cnId of ['vm', 'module'])
+  {
+    if (!handle.builtinAllowed(cnId))
+      delete moduleCache[cnId];
+  }
 
   return ctx;
 }
@@ -552,3 +4791,17 @@ function copyProps(dst, src)
 }
 
 exports.CtxModule = CtxModule;
+exports.CtxHandle = CtxHandle;
+exports.CompileCache = CompileCache;
+exports.LoadProfiler = LoadProfiler;
+exports.ContextCoverage = ContextCoverage;
+exports.ContextOutput = ContextOutput;
+exports.MemoryFileSystem = MemoryFileSystem;
+exports.BundleFileSystem = BundleFileSystem;
+exports.diskFileSystem = diskFileSystem;
+exports.contextHandle = contextHandle;
+exports.WorkerContext = WorkerContext;
+
+/* ctx-module is the script of the worker threads which run worker contexts */
+if (require.main === module && require('worker_threads').workerData?.ctxModuleWorker)
+  serveWorkerContext(require('worker_threads').parentPort, require('worker_threads').workerData);
@@ -0,0 +1,33 @@
+/**
+ * @file     fixture-tree.js
+ *           Helper which writes a tree of fixture files into a temporary directory. Peter treats every
+ *           file under tests/ that is not a .js file as a test, so fixtures like package.json and .mjs
+ *           files are created at run time instead. The directory is removed when the process exits.
+ *
+ * @author   agent, agent@local
+ * @date     Oct 2026
+ */
+'use strict';
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+/**
+ * @param {object} files    object whose property names are pathnames relative to the fixture root and
+ *                          whose values are the file contents; non-string values are written as JSON.
+ * @returns the rooted pathname of the fixture directory, with forward slashes
+ */
+exports.makeFixtureTree = function makeFixtureTree(files)
+{
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ctx-module-')));
+
+  for (let filename in files)
+  {
+    const contents = files[filename];
+    fs.mkdirSync(path.dirname(path.join(root, filename)), { recursive: true });
+    fs.writeFileSync(path.join(root, filename), typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2));
+  }
+
+  process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+  return root.replace(/\\/g, '/');
+}